@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import logger from './logger.js';
+
+/**
+ * Scopes an admin token can be granted; '*' grants all of them
+ * - binary: download or replace the yt-dlp binary
+ * - debug: read environment and binary diagnostics
+ * - exec: run diagnostic commands on the host
+ * - cache: inspect and clear the audio cache
+ */
+export const ADMIN_SCOPES = ['binary', 'debug', 'exec', 'cache'];
+
+const MIN_TOKEN_LENGTH = 16;
+const REALM = 'Bearer realm="admin"';
+
+/**
+ * Reads the admin tokens from the configuration:
+ *
+ * - tokens (ADMIN_TOKENS): comma-separated `name:token:scope+scope` entries,
+ *   e.g. `ops:4f9c...:binary+debug,ci:a81e...:cache`
+ * - tokensFile (ADMIN_TOKENS_FILE): path of a JSON file `[{ "name", "token", "scopes": [] }]`
+ *
+ * Names identify the caller in the audit log, so tokens themselves are never logged.
+ * Throws on malformed entries rather than starting with a half-applied config.
+ */
+export function loadAdminTokens({ tokens, tokensFile } = {}) {
+  const entries = [];
+
+  for (const entry of (tokens || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const [name, token, scopes = ''] = entry.split(':');
+    entries.push({ name, token, scopes: scopes.split('+').filter(Boolean) });
+  }
+  if (tokensFile) {
+    const file = JSON.parse(fs.readFileSync(tokensFile, 'utf8'));
+    if (!Array.isArray(file)) {
+      throw new Error(`${tokensFile} must contain an array of tokens`);
+    }
+    entries.push(...file);
+  }
+
+  const names = new Set();
+  return entries.map(({ name, token, scopes }) => {
+    if (!name || names.has(name)) {
+      throw new Error(`Admin token names must be unique and non-empty (got "${name || ''}")`);
+    }
+    if (typeof token !== 'string' || token.length < MIN_TOKEN_LENGTH) {
+      throw new Error(`Admin token "${name}" must be at least ${MIN_TOKEN_LENGTH} characters`);
+    }
+    if (!Array.isArray(scopes)) {
+      throw new Error(`Scopes of admin token "${name}" must be an array, e.g. ["debug"]`);
+    }
+    const unknown = scopes.filter(scope => scope !== '*' && !ADMIN_SCOPES.includes(scope));
+    if (scopes.length === 0 || unknown.length > 0) {
+      throw new Error(`Admin token "${name}" needs scopes from: *, ${ADMIN_SCOPES.join(', ')}`);
+    }
+    names.add(name);
+    return { name, digest: digest(token), scopes: new Set(scopes) };
+  });
+}
+
+function digest(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
+/**
+ * Authenticates `Authorization: Bearer <token>` against the loaded tokens and
+ * sets `req.admin` to `{ name, scopes }`. Every admin request is audit-logged:
+ * rejected ones right away, accepted ones with their status once the response
+ * is finished or aborted.
+ * Without any configured token the admin API is disabled.
+ */
+export function adminAuth(tokens) {
+  return (req, res, next) => {
+    if (tokens.length === 0) {
+      logger.warn('Admin request rejected', { method: req.method, path: req.originalUrl, ip: req.ip, reason: 'admin API disabled' });
+      return res.status(503).json({ error: 'Admin API is disabled: no ADMIN_TOKENS configured' });
+    }
+
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    if (!match) {
+      logger.warn('Admin request rejected', { method: req.method, path: req.originalUrl, ip: req.ip, reason: 'missing bearer token' });
+      res.set('WWW-Authenticate', REALM);
+      return res.status(401).json({ error: 'Bearer token required' });
+    }
+
+    // Compare against every token in constant time, so timing reveals nothing
+    const candidate = digest(match[1]);
+    let found = null;
+    for (const token of tokens) {
+      if (crypto.timingSafeEqual(candidate, token.digest) && !found) {
+        found = token;
+      }
+    }
+    if (!found) {
+      logger.warn('Admin request rejected', { method: req.method, path: req.originalUrl, ip: req.ip, reason: 'invalid token' });
+      res.set('WWW-Authenticate', `${REALM}, error="invalid_token"`);
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    req.admin = { name: found.name, scopes: found.scopes };
+    // On close rather than finish, so requests whose client went away are logged too
+    res.once('close', () => {
+      logger.info('Admin request', {
+        admin: found.name,
+        method: req.method,
+        path: req.originalUrl,
+        ip: req.ip,
+        status: res.headersSent ? res.statusCode : null,
+        aborted: !res.writableFinished
+      });
+    });
+    next();
+  };
+}
+
+/**
+ * Only lets through admins whose token has the given scope (or '*')
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    const { scopes } = req.admin;
+    if (scopes.has('*') || scopes.has(scope)) {
+      return next();
+    }
+    res.set('WWW-Authenticate', `${REALM}, error="insufficient_scope", scope="${scope}"`);
+    res.status(403).json({ error: `Token lacks the "${scope}" scope` });
+  };
+}
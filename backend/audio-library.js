@@ -0,0 +1,540 @@
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import ProgressiveFile from './progressive-file.js';
+import { AUDIO_FORMATS, DEFAULT_FORMAT, DEFAULT_QUALITY, QUALITY_PRESETS, codecArgs } from './formats.js';
+import { tagsFromInfo, buildFilename, fetchCoverArt, writeTags } from './tagging.js';
+import { segmentTimeline, packageHls } from './hls.js';
+import { cutSegment, formatTimestamp, measureLoudness, normalizeLoudness, trimSilence } from './audio-processing.js';
+import logger from './logger.js';
+
+// SponsorBlock segments removed by ?trim=segments
+const SPONSORBLOCK_CATEGORIES = 'music_offtopic,intro,outro';
+
+// HLS renditions are AAC at each lossy preset, packaged from one high-quality MP3,
+// which can be read while it is still being extracted
+export const HLS_SOURCE_FORMAT = 'mp3';
+export const HLS_SOURCE_QUALITY = 'high';
+export const HLS_RENDITIONS = Object.keys(QUALITY_PRESETS).filter(quality => QUALITY_PRESETS[quality].bitrate);
+
+/**
+ * Returns the cache key for a track in a given output format and quality preset
+ */
+export function audioCacheKey(videoId, format, quality) {
+  return `${videoId}-${quality}.${AUDIO_FORMATS[format].extension}`;
+}
+
+/**
+ * Cache key suffix naming the processing applied to a track, in the order it is
+ * applied: "-segments", "-silence" and "-loudnorm<target>"
+ */
+export function processingSuffix({ trim, loudnessTarget }) {
+  let suffix = '';
+  if (trim?.segments) suffix += '-segments';
+  if (trim?.silence) suffix += '-silence';
+  if (loudnessTarget !== null) suffix += `-loudnorm${loudnessTarget}`;
+  return suffix;
+}
+
+/**
+ * Returns the cache key of a complete track after processing (see getProcessedAudio)
+ */
+export function processedCacheKey(videoId, format, quality, processing) {
+  return `${videoId}-${quality}${processingSuffix(processing)}.${AUDIO_FORMATS[format].extension}`;
+}
+
+/**
+ * Every audio file the server hands out, from extraction to the disk cache:
+ * tracks extracted with the registered strategies, and the files made from them
+ * (processed tracks, chapters, clips, HLS renditions). Concurrent requests for
+ * the same file share one extraction or build.
+ *
+ * Takes the DiskCache, the JobQueue builds run in, the ExtractorRegistry and the
+ * YouTubeCatalog for tags. onAttempt is called with every finished extractor attempt.
+ */
+export default class AudioLibrary {
+  constructor({ cache, queue, extractors, catalog, sponsorBlockApiUrl, hlsSegmentSeconds, onAttempt = () => {} }) {
+    this.cache = cache;
+    this.queue = queue;
+    this.extractors = extractors;
+    this.catalog = catalog;
+    this.sponsorBlockApiUrl = sponsorBlockApiUrl;
+    this.hlsSegmentSeconds = hlsSegmentSeconds;
+    this.onAttempt = onAttempt;
+    // Extractions in flight, keyed by cache key: concurrent requests for the same
+    // track share one extraction and can stream the file while it is produced
+    this.liveExtractions = new Map();
+    // Files made from cached tracks (chapters, clips, processed variants), keyed by cache key
+    this.pendingDerived = new Map();
+    // HLS renditions being packaged, keyed by `${videoId}-${quality}`
+    this.hlsPackagings = new Map();
+  }
+
+  /**
+   * Extract audio from a YouTube video with the registered strategies.
+   * Writes the file in the requested format and quality to outputPath (through
+   * `file`, a ProgressiveFile for it, if given, so it can be streamed while it is
+   * transcoded). Running commands are killed when signal aborts; progress and the
+   * current strategy go to onProgress, finished attempts to onAttempt.
+   *
+   * Returns `{ strategy, attempts }`, which strategy produced the file and what was tried.
+   */
+  async extractAudio(videoId, outputPath, { format = DEFAULT_FORMAT, quality = DEFAULT_QUALITY, ytdlpOptions = {}, file = null, signal, onProgress = () => {}, onAttempt = () => {} } = {}) {
+    const log = logger.child({ videoId, format, quality });
+    log.info('Starting audio extraction');
+    const context = {
+      videoId,
+      url: `https://www.youtube.com/watch?v=${videoId}`,
+      outputPath,
+      file,
+      format,
+      quality,
+      ytdlpOptions,
+      onProgress,
+      log
+    };
+
+    const { strategy, attempts } = await this.extractors.run(context, {
+      signal,
+      onAttempt: attempt => {
+        if (attempt.outcome === 'running') {
+          onProgress({ strategy: attempt.strategy, stage: 'downloading', percent: 0, eta: null });
+          return;
+        }
+        this.onAttempt(attempt);
+        onAttempt(attempt);
+      }
+    });
+    return { strategy, attempts };
+  }
+
+  /**
+   * Video info for tagging, looked up while the audio downloads. Tracks are
+   * still served untagged if it cannot be fetched.
+   */
+  tagInfo(videoId) {
+    return this.catalog.getVideoInfo(videoId).catch(err => {
+      logger.warn('Failed to fetch video info for tagging', { videoId, error: err });
+      return null;
+    });
+  }
+
+  /**
+   * Embeds title, artist, year, source URL and cover art into an extracted file in place.
+   * Returns the metadata to keep with the cache entry.
+   */
+  async tagAudioFile(videoId, filePath, { format, info, signal }) {
+    const tags = tagsFromInfo(info, videoId);
+    const meta = { ...tags, filename: buildFilename(tags, AUDIO_FORMATS[format].extension) };
+
+    const taggedFile = filePath.replace(/(\.\w+)$/, '.tagged$1');
+
+    try {
+      const cover = await fetchCoverArt(info, videoId);
+      await writeTags(filePath, taggedFile, { format, tags, cover, signal });
+      fs.renameSync(taggedFile, filePath);
+      logger.info('Tagged audio file', { videoId, filename: meta.filename, cover: Boolean(cover) });
+    } catch (err) {
+      fs.rmSync(taggedFile, { force: true });
+      logger.warn('Failed to tag audio file, keeping it untagged', { videoId, error: err });
+    }
+
+    return meta;
+  }
+
+  /**
+   * Queues a track for extraction into the cache. Audio is streamed as it is transcoded;
+   * if streaming fails before producing anything, the file-based strategies in
+   * extractAudio are tried instead.
+   *
+   * Returns the extraction: its progressive `file`, the latest `status` (stage, percent,
+   * eta, strategy) and `events`, which emits `status` whenever that changes.
+   */
+  startExtraction(videoId, format, quality) {
+    const cacheKey = audioCacheKey(videoId, format, quality);
+    const tempFile = this.cache.tempPath(cacheKey);
+    const file = new ProgressiveFile(tempFile);
+    const extraction = {
+      file,
+      status: { stage: 'queued', percent: 0, eta: null, strategy: null },
+      // Finished extractor attempts, for the X-Extractor header of live responses
+      attempts: [],
+      events: new EventEmitter()
+    };
+    this.liveExtractions.set(cacheKey, extraction);
+
+    const onProgress = update => {
+      const previous = extraction.status;
+      extraction.status = { ...previous, ...update };
+
+      // yt-dlp reports many times per second; only relay visible changes
+      const { stage, percent, strategy } = extraction.status;
+      if (stage !== previous.stage || percent !== previous.percent || strategy !== previous.strategy) {
+        extraction.events.emit('status', extraction.status);
+      }
+    };
+
+    (async () => {
+      try {
+        const meta = await this.queue.run(cacheKey, async signal => {
+          const infoPromise = this.tagInfo(videoId);
+
+          const extractor = await this.extractAudio(videoId, tempFile, {
+            format,
+            quality,
+            file,
+            signal,
+            onProgress,
+            onAttempt: attempt => extraction.attempts.push(attempt)
+          });
+
+          // Verify the file is valid audio data
+          const { size } = fs.statSync(tempFile);
+          if (size < 1000) {
+            throw new Error('Extracted audio file is too small or empty');
+          }
+
+          const info = await infoPromise;
+          if (!info) return { extractor };
+
+          onProgress({ stage: 'tagging', percent: 100, eta: null });
+          return { ...await this.tagAudioFile(videoId, tempFile, { format, info, signal }), extractor };
+        });
+
+        // Move the finished file into the cache
+        const entry = await this.cache.commit(cacheKey, tempFile, meta, target => file.moveTo(target));
+        file.complete(entry.path, entry.size);
+      } catch (err) {
+        fs.rmSync(tempFile, { force: true });
+        logger.error('Audio extraction failed', { videoId, format, quality, error: err });
+        file.fail(err);
+      } finally {
+        this.liveExtractions.delete(cacheKey);
+      }
+    })();
+
+    return extraction;
+  }
+
+  /**
+   * Returns the running extraction of a track variant, starting one if there is none
+   */
+  getExtraction(videoId, format, quality) {
+    const extraction = this.liveExtractions.get(audioCacheKey(videoId, format, quality));
+    if (extraction) return extraction;
+
+    logger.info('Starting extraction', { videoId, format, quality });
+    return this.startExtraction(videoId, format, quality);
+  }
+
+  /**
+   * Whether serving a track variant means a new extraction: the track is neither
+   * cached nor being extracted. With `processing` (see getProcessedAudio) it is the
+   * processed track that is looked for; `trim.segments` needs an extraction of its
+   * own, which yt-dlp cuts with SponsorBlock.
+   */
+  needsExtraction(videoId, format, quality, processing = null) {
+    if (processing && (processing.trim || processing.loudnessTarget !== null)) {
+      const processedKey = processedCacheKey(videoId, format, quality, processing);
+      if (this.cache.has(processedKey) || this.pendingDerived.has(processedKey)) return false;
+    }
+    if (processing?.trim?.segments) {
+      const segmentsKey = processedCacheKey(videoId, format, quality, { trim: { segments: true }, loudnessTarget: null });
+      return !this.cache.has(segmentsKey) && !this.pendingDerived.has(segmentsKey);
+    }
+
+    const cacheKey = audioCacheKey(videoId, format, quality);
+    return !this.cache.has(cacheKey) && !this.liveExtractions.has(cacheKey);
+  }
+
+  /**
+   * Returns the cache entry of a complete track, waiting for its extraction if needed
+   */
+  async getCachedAudio(videoId, format, quality) {
+    const cacheKey = audioCacheKey(videoId, format, quality);
+    const cached = this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    await this.getExtraction(videoId, format, quality).file.done;
+
+    const entry = this.cache.get(cacheKey);
+    if (!entry) {
+      throw new Error('Extracted file was evicted');
+    }
+    return entry;
+  }
+
+  /**
+   * Returns a cache entry produced from other cached audio (chapters, clips,
+   * normalized tracks), building it at most once at a time. loadSource() resolves
+   * to the cache entry it is made from; build(source, tempFile, signal) writes the
+   * file and returns its metadata.
+   */
+  async getDerivedAudio(cacheKey, loadSource, build) {
+    const cached = this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    if (!this.pendingDerived.has(cacheKey)) {
+      const tempFile = this.cache.tempPath(cacheKey);
+      // The source is loaded outside the queue: it may need a queue slot of its own.
+      // It is pinned until the build is done, so it cannot be evicted while the build waits.
+      const request = loadSource()
+        .then(source => {
+          const release = source ? this.cache.pin(source.key) : () => {};
+          if (!release) {
+            throw new Error('Source file was evicted');
+          }
+          return this.queue.run(cacheKey, signal => build(source, tempFile, signal)).finally(release);
+        })
+        .then(meta => this.cache.commit(cacheKey, tempFile, meta))
+        .catch(err => {
+          fs.rmSync(tempFile, { force: true });
+          throw err;
+        })
+        .finally(() => this.pendingDerived.delete(cacheKey));
+      this.pendingDerived.set(cacheKey, request);
+    }
+    return this.pendingDerived.get(cacheKey);
+  }
+
+  /**
+   * Returns the cache entry of a complete track, processed as requested:
+   * `trim.segments` removes non-music segments with SponsorBlock, `trim.silence`
+   * leading and trailing silence, and `loudnessTarget` (LUFS, or null) normalizes it.
+   * Each step is cached, so variants share the steps they have in common.
+   */
+  getProcessedAudio(videoId, format, quality, processing) {
+    const { trim, loudnessTarget } = processing;
+    if (loudnessTarget !== null) {
+      return this.getNormalizedAudio(videoId, format, quality, processing);
+    }
+    if (trim?.silence) {
+      return this.getSilenceTrimmedAudio(videoId, format, quality, processing);
+    }
+    if (trim?.segments) {
+      return this.getSegmentTrimmedAudio(videoId, format, quality);
+    }
+    return this.getCachedAudio(videoId, format, quality);
+  }
+
+  /**
+   * Extracts a track with the segments SponsorBlock marks as non-music, intro or
+   * outro cut out by yt-dlp. yt-dlp needs a file to cut, so this variant is not streamed.
+   */
+  async getSegmentTrimmedAudio(videoId, format, quality) {
+    const cacheKey = processedCacheKey(videoId, format, quality, { trim: { segments: true }, loudnessTarget: null });
+
+    return this.getDerivedAudio(cacheKey, () => Promise.resolve(null), async (_, tempFile, signal) => {
+      const infoPromise = this.tagInfo(videoId);
+
+      const extractor = await this.extractAudio(videoId, tempFile, {
+        format,
+        quality,
+        signal,
+        ytdlpOptions: {
+          '--sponsorblock-remove': SPONSORBLOCK_CATEGORIES,
+          '--sponsorblock-api': this.sponsorBlockApiUrl
+        }
+      });
+
+      const info = await infoPromise;
+      return { ...(info && await this.tagAudioFile(videoId, tempFile, { format, info, signal })), extractor };
+    });
+  }
+
+  /**
+   * Returns the cache entry of a track with leading and trailing silence removed
+   */
+  async getSilenceTrimmedAudio(videoId, format, quality, processing) {
+    const sourceProcessing = { ...processing, trim: { ...processing.trim, silence: false } };
+    const cacheKey = processedCacheKey(videoId, format, quality, processing);
+
+    return this.getDerivedAudio(cacheKey, () => this.getProcessedAudio(videoId, format, quality, sourceProcessing), async (source, tempFile, signal) => {
+      await trimSilence(source.path, tempFile, { codec: codecArgs(format, quality), signal });
+      return source.meta;
+    });
+  }
+
+  /**
+   * Returns the cache entry of a track normalized to a loudness target (LUFS)
+   * with a two-pass loudnorm. The measurement of the original is recorded on its
+   * cache entry too, so plain responses can report its loudness.
+   */
+  async getNormalizedAudio(videoId, format, quality, processing) {
+    const target = processing.loudnessTarget;
+    const sourceProcessing = { ...processing, loudnessTarget: null };
+    const sourceKey = processedCacheKey(videoId, format, quality, sourceProcessing);
+    const cacheKey = processedCacheKey(videoId, format, quality, processing);
+
+    return this.getDerivedAudio(cacheKey, () => this.getProcessedAudio(videoId, format, quality, sourceProcessing), async (source, tempFile, signal) => {
+      const measured = await measureLoudness(source.path, { target, signal });
+      const { integrated, truePeak } = measured;
+      await this.cache.updateMeta(sourceKey, { ...source.meta, loudness: { integrated, truePeak } });
+
+      const output = await normalizeLoudness(source.path, tempFile, {
+        measured,
+        target,
+        codec: codecArgs(format, quality),
+        signal
+      });
+      logger.info('Normalized loudness', { videoId, from: integrated, to: output.integrated, target });
+      return { ...source.meta, loudness: { ...output, target } };
+    });
+  }
+
+  /**
+   * Returns the cache entry of one chapter of a track (see the video info for
+   * the list), cut from the track after normalization if loudnessTarget is set
+   */
+  async getChapter(videoId, format, quality, { info, index, loudnessTarget }) {
+    const chapter = info.chapters[index];
+    const { extension } = AUDIO_FORMATS[format];
+    // Chapter times refer to the untrimmed track, so only normalization applies
+    const processing = { trim: null, loudnessTarget };
+    const cacheKey = `${videoId}-${quality}-chapter${index}${processingSuffix(processing)}.${extension}`;
+
+    const entry = await this.getDerivedAudio(cacheKey, () => this.getProcessedAudio(videoId, format, quality, processing), async (source, tempFile, signal) => {
+      const { loudness: _, ...sourceTags } = source.meta || tagsFromInfo(info, videoId);
+      const tags = { ...sourceTags, title: chapter.title };
+      await cutSegment(source.path, tempFile, {
+        start: chapter.start,
+        end: chapter.end,
+        tags: { title: chapter.title, track: `${index + 1}/${info.chapters.length}` },
+        signal
+      });
+      return { ...tags, filename: buildFilename(tags, extension) };
+    });
+    return { cacheKey, entry };
+  }
+
+  /**
+   * Returns the cache entry of a clip of a track, cutting it from the processed
+   * track first if needed. Clips are cached under a key made from their range,
+   * fades and processing.
+   */
+  async getClip(videoId, format, quality, clip, processing) {
+    const { extension } = AUDIO_FORMATS[format];
+    const fades = clip.fadeIn > 0 || clip.fadeOut > 0 ? `-fade${clip.fadeIn}-${clip.fadeOut}` : '';
+    const cacheKey = `${videoId}-${quality}-clip${clip.start}-${clip.end}${fades}${processingSuffix(processing)}.${extension}`;
+
+    const entry = await this.getDerivedAudio(cacheKey, () => this.getProcessedAudio(videoId, format, quality, processing), async (source, tempFile, signal) => {
+      await cutSegment(source.path, tempFile, {
+        ...clip,
+        codec: codecArgs(format, quality),
+        signal
+      });
+
+      // The loudness of the whole track does not describe the clip
+      const { loudness: _, ...tags } = source.meta || { title: videoId, artist: 'Unknown artist' };
+      const range = `${formatTimestamp(clip.start)}-${formatTimestamp(clip.end)}`;
+      return { ...tags, filename: buildFilename({ ...tags, title: `${tags.title} (${range})` }, extension) };
+    });
+    return { cacheKey, entry };
+  }
+
+  /**
+   * Segment timeline of a track's HLS renditions, from its duration alone, or null
+   * if the duration is unknown (live streams)
+   */
+  async getHlsTimeline(videoId) {
+    const { duration } = await this.catalog.getVideoInfo(videoId);
+    return duration ? segmentTimeline(duration, this.hlsSegmentSeconds) : null;
+  }
+
+  /**
+   * Starts packaging an HLS rendition into the cache, unless it is already being
+   * packaged, and returns the packaging: the `segments` indexes in the cache so far,
+   * whether it is `finished`, its `error` if it failed, and `events`, which emits
+   * `segment` with every new index and `end` when it is finished.
+   *
+   * The source MP3 is read while its extraction is still writing it, so the first
+   * segments are ready long before the track is extracted.
+   */
+  getHlsPackaging(videoId, quality) {
+    const key = `${videoId}-${quality}`;
+    if (this.hlsPackagings.has(key)) return this.hlsPackagings.get(key);
+
+    const packaging = { segments: new Set(), finished: false, error: null, events: new EventEmitter() };
+    packaging.events.setMaxListeners(0);
+    this.hlsPackagings.set(key, packaging);
+    const workDir = this.cache.tempPath(`${key}-hls`);
+
+    (async () => {
+      try {
+        await fs.promises.mkdir(workDir, { recursive: true });
+        const sourceKey = audioCacheKey(videoId, HLS_SOURCE_FORMAT, HLS_SOURCE_QUALITY);
+        let input;
+        if (this.cache.has(sourceKey)) {
+          input = this.cache.createReadStream(sourceKey);
+        } else {
+          // Waiting for the first bytes outside the queue: the extraction needs a slot of its own
+          const { file } = this.getExtraction(videoId, HLS_SOURCE_FORMAT, HLS_SOURCE_QUALITY);
+          await file.ready;
+          input = file.createReadStream();
+        }
+
+        await this.queue.run(`${key}-hls`, signal => packageHls(input, workDir, {
+          segmentSeconds: this.hlsSegmentSeconds,
+          codec: codecArgs('m4a', quality),
+          signal,
+          onSegment: async (index, segmentFile) => {
+            await this.cache.commit(this.hlsSegmentKey(videoId, quality, index), segmentFile);
+            packaging.segments.add(index);
+            packaging.events.emit('segment', index);
+          }
+        })).finally(() => input.destroy());
+      } catch (err) {
+        logger.error('HLS packaging failed', { videoId, quality, error: err });
+        packaging.error = err;
+      } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+        packaging.finished = true;
+        this.hlsPackagings.delete(key);
+        packaging.events.emit('end');
+      }
+    })();
+
+    return packaging;
+  }
+
+  /**
+   * Cache key of an HLS segment. The segment length is part of it, as it decides
+   * where segments start.
+   */
+  hlsSegmentKey(videoId, quality, index) {
+    return `${videoId}-${quality}-hls${this.hlsSegmentSeconds}-${index}.ts`;
+  }
+
+  /**
+   * Returns one HLS segment of a rendition as soon as it has been packaged (see
+   * getHlsPackaging), or null if the track has no such segment
+   */
+  async getHlsSegment(videoId, quality, index) {
+    const timeline = await this.getHlsTimeline(videoId);
+    if (!timeline?.segments[index]) return null;
+
+    const cacheKey = this.hlsSegmentKey(videoId, quality, index);
+    const cached = this.cache.get(cacheKey);
+    if (cached) return { cacheKey, entry: cached };
+
+    const packaging = this.getHlsPackaging(videoId, quality);
+    await new Promise(resolve => {
+      const check = () => {
+        if (packaging.segments.has(index) || packaging.finished) {
+          packaging.events.off('segment', check);
+          packaging.events.off('end', check);
+          resolve();
+        }
+      };
+      packaging.events.on('segment', check);
+      packaging.events.on('end', check);
+      check();
+    });
+
+    const entry = this.cache.get(cacheKey);
+    if (entry) return { cacheKey, entry };
+    if (packaging.error) throw packaging.error;
+    if (packaging.segments.has(index)) throw new Error('HLS segment was evicted');
+    // The catalog's duration can be a little longer than the audio itself
+    return null;
+  }
+}
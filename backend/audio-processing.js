@@ -0,0 +1,253 @@
+import { runProcess } from './process-runner.js';
+
+const MAX_FADE_SECONDS = 30;
+
+/**
+ * Parses a clip time given as seconds ("83", "83.5") or as "m:ss" / "h:mm:ss".
+ * Returns NaN for anything else.
+ */
+export function parseTimestamp(value) {
+  if (typeof value !== 'string' || !/^\d+(:[0-5]?\d){0,2}(\.\d+)?$/.test(value)) {
+    return NaN;
+  }
+  return value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Formats seconds as "1m23s" for filenames (colons are not allowed there)
+ */
+export function formatTimestamp(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Number((seconds % 60).toFixed(3));
+  return minutes > 0 ? `${minutes}m${rest}s` : `${rest}s`;
+}
+
+/**
+ * Reads the clip options of an /audio request: ?start=, ?end=, ?fadeIn= and ?fadeOut=.
+ * Returns `{ clip: null }` when none are given, `{ clip }` with times in seconds
+ * (end is null for "until the end of the track"), or `{ error }`.
+ */
+export function resolveClip(query) {
+  const { start, end, fadeIn, fadeOut } = query;
+  if ([start, end, fadeIn, fadeOut].every(value => value === undefined)) {
+    return { clip: null };
+  }
+
+  const clip = {
+    start: start === undefined ? 0 : parseTimestamp(start),
+    end: end === undefined ? null : parseTimestamp(end),
+    fadeIn: fadeIn === undefined ? 0 : Number(fadeIn),
+    fadeOut: fadeOut === undefined ? 0 : Number(fadeOut)
+  };
+
+  if (Number.isNaN(clip.start) || Number.isNaN(clip.end)) {
+    return { error: 'Invalid clip time. Use seconds or m:ss / h:mm:ss' };
+  }
+  if (clip.end !== null && clip.end <= clip.start) {
+    return { error: 'Clip end must be after its start' };
+  }
+  for (const fade of ['fadeIn', 'fadeOut']) {
+    if (!Number.isFinite(clip[fade]) || clip[fade] < 0 || clip[fade] > MAX_FADE_SECONDS) {
+      return { error: `${fade} must be between 0 and ${MAX_FADE_SECONDS} seconds` };
+    }
+  }
+  return { clip };
+}
+
+/**
+ * Copies the part of an audio file between start and end (in seconds). Tags and
+ * cover art are kept; extra tags override them.
+ *
+ * Without fades the audio is copied as is. Fades need re-encoding, so `codec`
+ * (ffmpeg encoder arguments, see codecArgs) must be given with them.
+ */
+export async function cutSegment(inputFile, outputFile, { start, end, fadeIn = 0, fadeOut = 0, codec, tags = {}, signal }) {
+  const duration = end - start;
+  const args = [
+    '-hide_banner', '-loglevel', 'error', '-y',
+    '-ss', String(start), '-i', inputFile, '-t', String(duration),
+    '-map', '0', '-c', 'copy'
+  ];
+
+  const filters = [];
+  if (fadeIn > 0) {
+    filters.push(`afade=t=in:st=0:d=${fadeIn}`);
+  }
+  if (fadeOut > 0) {
+    filters.push(`afade=t=out:st=${Math.max(duration - fadeOut, 0)}:d=${fadeOut}`);
+  }
+  if (filters.length > 0) {
+    args.push('-af', filters.join(','), ...codec);
+  }
+
+  for (const [key, value] of Object.entries(tags)) {
+    args.push('-metadata', `${key}=${value}`);
+  }
+  args.push(outputFile);
+
+  await runProcess('ffmpeg', args, { signal });
+}
+
+const TRIM_MODES = ['silence', 'segments'];
+
+// Audio quieter than this counts as silence when trimming
+const SILENCE_THRESHOLD = '-50dB';
+
+/**
+ * Reads ?trim=, a comma-separated list of trim modes: "silence" removes leading
+ * and trailing silence, "segments" removes non-music segments known to SponsorBlock.
+ * Returns `{ trim }` with a flag per mode (null when nothing is trimmed) or `{ error }`.
+ */
+export function resolveTrim(value) {
+  if (value === undefined) {
+    return { trim: null };
+  }
+
+  const modes = String(value).split(',').map(mode => mode.trim());
+  const unknown = modes.filter(mode => !TRIM_MODES.includes(mode));
+  if (unknown.length > 0) {
+    return { error: `Unsupported trim mode: ${unknown.join(', ')}. Use ${TRIM_MODES.join(' and/or ')}` };
+  }
+  return { trim: { silence: modes.includes('silence'), segments: modes.includes('segments') } };
+}
+
+// Silence shorter than this is left alone
+const SILENCE_MIN_SECONDS = 0.1;
+// How close to the start or end of the track a silence has to be to count as leading or trailing
+const SILENCE_EDGE_SECONDS = 0.05;
+
+/**
+ * Re-encodes a file without its leading and trailing silence, keeping tags and cover art.
+ * The silence is found with a first silencedetect pass and then cut with atrim,
+ * so neither pass holds more than a few frames of the track in memory.
+ */
+export async function trimSilence(inputFile, outputFile, { codec, signal }) {
+  const { start, end } = await detectEdgeSilence(inputFile, { signal });
+
+  const trim = [`start=${start}`];
+  if (end !== null) trim.push(`end=${end}`);
+  await runProcess('ffmpeg', [
+    '-hide_banner', '-loglevel', 'error', '-y', '-i', inputFile,
+    '-map', '0', '-c', 'copy', '-af', `atrim=${trim.join(':')},asetpts=PTS-STARTPTS`, ...codec,
+    outputFile
+  ], { signal });
+}
+
+/**
+ * Finds where the audio of a file starts and ends, in seconds, ignoring leading
+ * and trailing silence. end is null when the track does not end in silence.
+ */
+async function detectEdgeSilence(inputFile, { signal }) {
+  const { stderr } = await runProcess('ffmpeg', [
+    '-hide_banner', '-nostats', '-i', inputFile,
+    '-map', '0:a', '-af', `silencedetect=noise=${SILENCE_THRESHOLD}:duration=${SILENCE_MIN_SECONDS}`,
+    '-f', 'null', '-'
+  ], { signal });
+
+  const duration = /Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/.exec(stderr);
+  const length = duration ? Number(duration[1]) * 3600 + Number(duration[2]) * 60 + Number(duration[3]) : null;
+
+  // One { start, end } per silence; end is null for a silence that lasts until the end of the file
+  const silences = [];
+  for (const [, key, value] of stderr.matchAll(/silence_(start|end): (-?[\d.]+)/g)) {
+    if (key === 'start') {
+      silences.push({ start: Math.max(Number(value), 0), end: null });
+    } else if (silences.length > 0) {
+      silences[silences.length - 1].end = Number(value);
+    }
+  }
+
+  const first = silences[0];
+  const last = silences[silences.length - 1];
+  const start = first && first.start <= SILENCE_EDGE_SECONDS && first.end !== null ? first.end : 0;
+  const trailing = last && last.start > start && (last.end === null || (length !== null && last.end >= length - SILENCE_EDGE_SECONDS));
+  return { start, end: trailing ? last.start : null };
+}
+
+// True peak ceiling and loudness range used with every loudness target
+const LOUDNORM_TRUE_PEAK = -1.5;
+const LOUDNORM_RANGE = 11;
+
+/**
+ * Reads a loudness target given as ?normalize=: "1" / "true" select the default
+ * target, a number selects that target in LUFS. Returns `{ target }` (null when
+ * normalization was not asked for) or `{ error }`.
+ */
+export function resolveLoudnessTarget(value, defaultTarget) {
+  if (value === undefined || value === '0' || value === 'false') {
+    return { target: null };
+  }
+  if (value === '1' || value === 'true') {
+    return { target: defaultTarget };
+  }
+
+  const target = Number(value);
+  if (value === '' || !Number.isFinite(target) || target < -70 || target > -5) {
+    return { error: 'normalize must be 1 or a loudness target between -70 and -5 LUFS' };
+  }
+  return { target };
+}
+
+/**
+ * First loudnorm pass: measures the integrated loudness (LUFS), true peak (dBTP),
+ * loudness range and threshold of a file, as needed to normalize it to target
+ */
+export async function measureLoudness(inputFile, { target, signal }) {
+  const { stderr } = await runProcess('ffmpeg', [
+    '-hide_banner', '-nostats', '-i', inputFile,
+    '-map', '0:a', '-af', `${loudnormFilter(target)}:print_format=json`,
+    '-f', 'null', '-'
+  ], { signal });
+
+  const stats = parseLoudnormStats(stderr);
+  return {
+    integrated: Number(stats.input_i),
+    truePeak: Number(stats.input_tp),
+    range: Number(stats.input_lra),
+    threshold: Number(stats.input_thresh),
+    offset: Number(stats.target_offset)
+  };
+}
+
+/**
+ * Second loudnorm pass: re-encodes a file to the target loudness using the
+ * measurement of the first pass, keeping tags and cover art. Resolves to the
+ * loudness and true peak of the result.
+ */
+export async function normalizeLoudness(inputFile, outputFile, { measured, target, codec, signal }) {
+  const filter = [
+    loudnormFilter(target),
+    `measured_I=${measured.integrated}`,
+    `measured_TP=${measured.truePeak}`,
+    `measured_LRA=${measured.range}`,
+    `measured_thresh=${measured.threshold}`,
+    `offset=${measured.offset}`,
+    'linear=true',
+    'print_format=json'
+  ].join(':');
+
+  const { stderr } = await runProcess('ffmpeg', [
+    '-hide_banner', '-nostats', '-y', '-i', inputFile,
+    '-map', '0', '-c', 'copy', '-af', filter, ...codec,
+    outputFile
+  ], { signal });
+
+  const stats = parseLoudnormStats(stderr);
+  return {
+    integrated: Number(stats.output_i),
+    truePeak: Number(stats.output_tp)
+  };
+}
+
+function loudnormFilter(target) {
+  return `loudnorm=I=${target}:TP=${LOUDNORM_TRUE_PEAK}:LRA=${LOUDNORM_RANGE}`;
+}
+
+// loudnorm prints its statistics as the last JSON object of ffmpeg's log
+function parseLoudnormStats(log) {
+  const match = log.match(/\{[^{}]*"input_i"[^{}]*\}\s*$/);
+  if (!match) {
+    throw new Error('ffmpeg did not report loudness statistics');
+  }
+  return JSON.parse(match[0]);
+}
@@ -0,0 +1,232 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import rateLimit from 'express-rate-limit';
+import NodeCache from 'node-cache';
+
+const MIN_KEY_LENGTH = 16;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads the API keys from the configuration:
+ *
+ * - keys (API_KEYS): comma-separated `name:key` or `name:key:dailyQuota` entries
+ * - keysFile (API_KEYS_FILE): path of a JSON file `[{ "name", "key", "dailyQuota" }]`
+ *
+ * Keys without a quota of their own get defaultDailyQuota extractions per day.
+ * Throws on malformed entries, like loadAdminTokens().
+ */
+export function loadApiKeys({ keys, keysFile, defaultDailyQuota } = {}) {
+  const entries = [];
+
+  for (const entry of (keys || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const [name, key, dailyQuota] = entry.split(':');
+    entries.push({ name, key, dailyQuota: dailyQuota === undefined ? undefined : Number(dailyQuota) });
+  }
+  if (keysFile) {
+    const file = JSON.parse(fs.readFileSync(keysFile, 'utf8'));
+    if (!Array.isArray(file)) {
+      throw new Error(`${keysFile} must contain an array of API keys`);
+    }
+    entries.push(...file);
+  }
+
+  const names = new Set();
+  return entries.map(({ name, key, dailyQuota = defaultDailyQuota }) => {
+    if (!name || names.has(name)) {
+      throw new Error(`API key names must be unique and non-empty (got "${name || ''}")`);
+    }
+    if (typeof key !== 'string' || key.length < MIN_KEY_LENGTH) {
+      throw new Error(`API key "${name}" must be at least ${MIN_KEY_LENGTH} characters`);
+    }
+    if (!Number.isInteger(dailyQuota) || dailyQuota < 0) {
+      throw new Error(`Daily quota of API key "${name}" must be a whole number of extractions`);
+    }
+    names.add(name);
+    return { name, digest: digest(key), dailyQuota };
+  });
+}
+
+function digest(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+/**
+ * Sets `req.apiClient` to the client that limits and quotas are counted for:
+ * `{ id, name, dailyQuota }` for requests with a valid X-API-Key header, the
+ * client IP (without a quota) otherwise. An unknown key is rejected rather than
+ * silently treated as anonymous.
+ */
+export function identifyClient(apiKeys) {
+  return (req, res, next) => {
+    const key = req.get('x-api-key');
+    if (!key) {
+      req.apiClient = { id: `ip:${req.ip}`, name: null, dailyQuota: null };
+      return next();
+    }
+
+    const candidate = digest(key);
+    let found = null;
+    for (const apiKey of apiKeys) {
+      if (crypto.timingSafeEqual(candidate, apiKey.digest) && !found) {
+        found = apiKey;
+      }
+    }
+    if (!found) {
+      return res.status(401).json({ error: 'Invalid API key', code: 'invalid_api_key' });
+    }
+
+    req.apiClient = { id: `key:${found.name}`, name: found.name, dailyQuota: found.dailyQuota };
+    next();
+  };
+}
+
+/**
+ * Answers 429 with a JSON body the player can show as is, and Retry-After in seconds
+ */
+export function sendLimitError(res, { message, code, retryAfter }) {
+  const seconds = Math.max(1, Math.ceil(retryAfter));
+  res.set('Retry-After', String(seconds));
+  res.status(429).json({ error: message, code, retryAfter: seconds });
+}
+
+/**
+ * A fixed-window limiter counting requests per client (see identifyClient).
+ * skip(req) leaves requests uncounted; onLimited(req) is called for every rejection.
+ */
+export function createLimiter({ windowMs, max, message, code = 'rate_limited', skip, onLimited = () => {} }) {
+  return rateLimit({
+    windowMs,
+    max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: req => req.apiClient.id,
+    skip,
+    handler: (req, res) => {
+      onLimited(req);
+      const resetTime = req.rateLimit.resetTime?.getTime() ?? Date.now() + windowMs;
+      sendLimitError(res, { message, code, retryAfter: (resetTime - Date.now()) / 1000 });
+    }
+  });
+}
+
+/**
+ * Limits how many cached tracks a client plays per window. Plays that need an
+ * extraction pass: the route charges them to the extraction window (see
+ * createExtractionWindow) once it knows the request is valid.
+ *
+ * resolvePlay(req) names what a request plays, `{ key, cached }`, or returns null
+ * for requests the route will reject anyway. Every play is counted once per
+ * window: the Range requests a player makes while seeking, or replays of the same
+ * track, are continuations and pass without being counted again.
+ */
+export function createPlayLimiter({ windowMs, maxCached, resolvePlay, onLimited = () => {} }) {
+  const plays = new NodeCache({ stdTTL: windowMs / 1000, checkperiod: Math.min(600, windowMs / 1000) });
+  const cachedLimiter = createLimiter({
+    windowMs,
+    max: maxCached,
+    message: 'Too many tracks played, please try again later',
+    onLimited: req => onLimited(req, 'cached-plays')
+  });
+
+  return (req, res, next) => {
+    const play = resolvePlay(req);
+    if (!play?.cached) return next();
+
+    const playKey = `${req.apiClient.id}|${play.key}`;
+    if (plays.has(playKey)) return next();
+
+    cachedLimiter(req, res, err => {
+      if (err) return next(err);
+      plays.set(playKey, true);
+      next();
+    });
+  };
+}
+
+/**
+ * Counts the extractions each client starts per fixed window. Unlike createLimiter
+ * it is not middleware: routes only know how many extractions a request starts
+ * after looking at the cache, and a request may start several (batch downloads).
+ *
+ * check(client, count) answers `{ ok, limit, remaining, retryAfter }` without using
+ * anything up, so a request can be held to other limits first; consume(client,
+ * count) then counts the extractions.
+ */
+export function createExtractionWindow({ windowMs, max }) {
+  // Client id -> { start, used }, dropped once the window is over
+  const windows = new NodeCache({ stdTTL: windowMs / 1000, checkperiod: Math.min(600, windowMs / 1000), useClones: false });
+
+  const current = (client, now) => {
+    let window = windows.get(client.id);
+    if (!window || now - window.start >= windowMs) {
+      window = { start: now, used: 0 };
+      windows.set(client.id, window);
+    }
+    return window;
+  };
+
+  return {
+    check(client, count = 1, now = Date.now()) {
+      const window = current(client, now);
+      const retryAfter = (window.start + windowMs - now) / 1000;
+      return { ok: window.used + count <= max, limit: max, remaining: max - window.used, retryAfter };
+    },
+    consume(client, count = 1, now = Date.now()) {
+      current(client, now).used += count;
+    }
+  };
+}
+
+/**
+ * Daily extraction quotas of API key clients, reset at midnight UTC.
+ * Anonymous clients have no quota and are only held to the rate limits.
+ */
+export default class DailyQuotas {
+  constructor() {
+    // Client name -> { day, used }
+    this.usage = new Map();
+  }
+
+  usageOf(client, now = Date.now()) {
+    const day = Math.floor(now / DAY_MS);
+    let usage = this.usage.get(client.name);
+    if (!usage || usage.day !== day) {
+      usage = { day, used: 0 };
+      this.usage.set(client.name, usage);
+    }
+    return usage;
+  }
+
+  /**
+   * Whether `count` extractions are left in the client's quota, without using them.
+   * Returns `{ ok, limit, remaining, retryAfter }`, retryAfter being the
+   * seconds until the quota resets.
+   */
+  check(client, count = 1, now = Date.now()) {
+    if (!client.name) return { ok: true, limit: null, remaining: null, retryAfter: 0 };
+
+    const usage = this.usageOf(client, now);
+    const retryAfter = ((usage.day + 1) * DAY_MS - now) / 1000;
+    const remaining = client.dailyQuota - usage.used;
+    return { ok: count <= remaining, limit: client.dailyQuota, remaining, retryAfter };
+  }
+
+  /**
+   * Uses up `count` extractions of the client's quota if that many are left.
+   * Returns the same as check(), with what is left afterwards.
+   */
+  consume(client, count = 1, now = Date.now()) {
+    const result = this.check(client, count, now);
+    if (!result.ok || result.limit === null) return result;
+
+    this.usageOf(client, now).used += count;
+    return { ...result, remaining: result.remaining - count };
+  }
+
+  stats() {
+    const today = Math.floor(Date.now() / DAY_MS);
+    return Object.fromEntries([...this.usage]
+      .filter(([, usage]) => usage.day === today)
+      .map(([name, usage]) => [name, usage.used]));
+  }
+}
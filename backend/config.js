@@ -0,0 +1,235 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Backend settings, read from the environment and an optional JSON config file.
+ *
+ * Each setting has an environment variable and a key in the config file; the
+ * environment wins over the file, the file over the defaults below. The file is
+ * named by CONFIG_FILE and uses the setting keys, e.g.
+ * `{ "port": 8080, "rateLimitMax": 60, "corsOrigins": ["https://app.example"] }`.
+ *
+ * Everything is validated at startup: invalid values and unknown keys in the file
+ * stop the server with one line per problem instead of being silently replaced by
+ * a default. Secret settings are never shown by describeConfig().
+ */
+const DEFAULT_YTDLP_CONFIG = `
+--geo-bypass
+--no-check-certificate
+--extractor-args "youtube:player_client=android,web"
+--user-agent "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/116.0.0.0 Safari/537.36"
+--add-header "Accept-Language:en-US,en;q=0.9"
+--ignore-errors
+--no-warnings
+`;
+
+export const SETTINGS = {
+  // Server
+  port: { env: 'PORT', type: 'integer', default: 3000, min: 1, max: 65535, description: 'Port the HTTP server listens on' },
+  logLevel: { env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info', description: 'Minimum level of log lines' },
+  tmpDir: { env: 'TMP_DIR', type: 'string', default: path.join(os.tmpdir(), 'yt-download'), description: 'Scratch directory for downloads and the yt-dlp config and cookies files' },
+
+  // Browser access and the admin API
+  frontendUrl: { env: 'FRONTEND_URL', type: 'url', default: null, description: 'Origin of the web player, allowed by CORS' },
+  corsOrigins: { env: 'CORS_ORIGINS', type: 'urls', default: [], description: 'Further origins allowed by CORS; none at all allows any origin' },
+  adminTokens: { env: 'ADMIN_TOKENS', type: 'string', default: null, secret: true, description: 'Admin tokens as `name:token:scope+scope`, comma-separated' },
+  adminTokensFile: { env: 'ADMIN_TOKENS_FILE', type: 'string', default: null, description: 'JSON file of admin tokens `[{ name, token, scopes }]`' },
+
+  // Rate limits per client (API key, or IP without one) and quotas of API keys
+  rateLimitWindowSeconds: { env: 'RATE_LIMIT_WINDOW_SECONDS', type: 'integer', default: 15 * 60, min: 1, description: 'Length of a rate limit window' },
+  rateLimitMax: { env: 'RATE_LIMIT_MAX', type: 'integer', default: 30, min: 1, description: 'Requests per window to /info, /check, /search, /playlist, /download, /hls playlists and /jobs' },
+  rateLimitExtractionsMax: { env: 'RATE_LIMIT_EXTRACTIONS_MAX', type: 'integer', default: 30, min: 1, description: 'Tracks per window that are not cached yet and need an extraction, by any route' },
+  rateLimitCachedPlaysMax: { env: 'RATE_LIMIT_CACHED_PLAYS_MAX', type: 'integer', default: 300, min: 1, description: 'Tracks per window played from the cache' },
+  apiKeys: { env: 'API_KEYS', type: 'string', default: null, secret: true, description: 'API keys sent as X-API-Key, as `name:key:dailyQuota`, comma-separated' },
+  apiKeysFile: { env: 'API_KEYS_FILE', type: 'string', default: null, description: 'JSON file of API keys `[{ name, key, dailyQuota }]`' },
+  apiKeyDailyQuota: { env: 'API_KEY_DAILY_QUOTA', type: 'integer', default: 500, min: 0, description: 'Extractions per day of API keys without a quota of their own' },
+
+  // yt-dlp
+  youtubeCookiesBase64: { env: 'YOUTUBE_COOKIES_BASE64', type: 'base64', default: null, secret: true, description: 'Base64 of a Netscape cookies file passed to yt-dlp' },
+  ytdlpConfig: { env: 'YTDLP_CONFIG', type: 'string', default: DEFAULT_YTDLP_CONFIG, description: 'yt-dlp options written to the yt-dlp config file at startup' },
+
+  // Extraction
+  maxConcurrentExtractions: { env: 'MAX_CONCURRENT_EXTRACTIONS', type: 'integer', default: 2, min: 1, max: 64, description: 'yt-dlp/ffmpeg pipelines running at once' },
+  maxQueuedExtractions: { env: 'MAX_QUEUED_EXTRACTIONS', type: 'integer', default: 50, min: 0, description: 'Extractions waiting for a slot before new ones are refused; 0 refuses them whenever every slot is busy' },
+  extractionTimeoutSeconds: { env: 'EXTRACTION_TIMEOUT_SECONDS', type: 'integer', default: 600, min: 1, description: 'Time limit of one extraction, queueing excluded' },
+  extractorOrder: { env: 'EXTRACTOR_ORDER', type: 'list', default: [], description: 'Extraction strategies to try, in order; empty tries all' },
+  extractorTimeouts: { env: 'EXTRACTOR_TIMEOUTS', type: 'seconds-map', default: {}, description: 'Per-strategy time limits as `name:seconds`, comma-separated' },
+  extractorFailureThreshold: { env: 'EXTRACTOR_FAILURE_THRESHOLD', type: 'integer', default: 3, min: 1, description: 'Failures in a row after which a strategy is skipped' },
+  extractorCooldownSeconds: { env: 'EXTRACTOR_COOLDOWN_SECONDS', type: 'integer', default: 300, min: 1, description: 'How long a failing strategy is skipped' },
+
+  // Caches
+  audioCacheDir: { env: 'AUDIO_CACHE_DIR', type: 'string', default: path.join(os.tmpdir(), 'yt-audio-cache'), description: 'Directory of extracted audio files' },
+  audioCacheMaxMb: { env: 'AUDIO_CACHE_MAX_MB', type: 'integer', default: 1024, min: 1, description: 'Size of the audio cache before files are evicted' },
+  audioCacheMaxAgeHours: { env: 'AUDIO_CACHE_MAX_AGE_HOURS', type: 'integer', default: 0, min: 0, description: 'Hours a cached file may go unplayed before it is removed; 0 keeps files until evicted for space' },
+  infoCacheTtlSeconds: { env: 'INFO_CACHE_TTL_SECONDS', type: 'integer', default: 6 * 60 * 60, min: 1, description: 'How long video info is cached' },
+  searchCacheTtlSeconds: { env: 'SEARCH_CACHE_TTL_SECONDS', type: 'integer', default: 10 * 60, min: 1, description: 'How long search results are cached' },
+  playlistCacheTtlSeconds: { env: 'PLAYLIST_CACHE_TTL_SECONDS', type: 'integer', default: 10 * 60, min: 1, description: 'How long playlist pages are cached' },
+
+  // Audio features
+  loudnormTargetLufs: { env: 'LOUDNORM_TARGET_LUFS', type: 'number', default: -14, min: -70, max: -5, description: 'Loudness target of ?normalize=1' },
+  sponsorBlockApiUrl: { env: 'SPONSORBLOCK_API_URL', type: 'url', default: 'https://sponsor.ajay.app', description: 'SponsorBlock API used by ?trim=segments' },
+  maxBatchSize: { env: 'MAX_BATCH_SIZE', type: 'integer', default: 30, min: 1, description: 'Tracks per batch download; uncached ones beyond the extraction limits are listed in failed.txt' },
+  hlsSegmentSeconds: { env: 'HLS_SEGMENT_SECONDS', type: 'integer', default: 6, min: 1, max: 60, description: 'Length of HLS segments' }
+};
+
+const REDACTED = '[redacted]';
+
+// Sources (env, file or default) of every loaded config, for describeConfig()
+const sources = new WeakMap();
+
+/**
+ * Reads and validates all settings. The returned object is frozen and holds the
+ * effective value of every key in SETTINGS.
+ * Throws an error with code INVALID_CONFIG and `problems` if anything is invalid.
+ */
+export function loadConfig(env = process.env) {
+  const problems = [];
+  const file = readConfigFile(env.CONFIG_FILE, problems);
+
+  const config = {};
+  const origin = {};
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    let raw;
+    if (env[setting.env] !== undefined && env[setting.env] !== '') {
+      raw = env[setting.env];
+      origin[key] = 'env';
+    } else if (file[key] !== undefined) {
+      raw = file[key];
+      origin[key] = 'file';
+    } else {
+      config[key] = setting.default;
+      origin[key] = 'default';
+      continue;
+    }
+
+    try {
+      config[key] = parseValue(raw, setting);
+    } catch (err) {
+      const where = origin[key] === 'env' ? setting.env : `"${key}" in ${env.CONFIG_FILE}`;
+      problems.push(`${where}: ${err.message}`);
+    }
+  }
+
+  for (const key of Object.keys(file)) {
+    if (!SETTINGS[key]) problems.push(`"${key}" in ${env.CONFIG_FILE}: unknown setting`);
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid configuration:\n  ${problems.join('\n  ')}`);
+    error.code = 'INVALID_CONFIG';
+    error.problems = problems;
+    throw error;
+  }
+
+  Object.freeze(config);
+  sources.set(config, origin);
+  return config;
+}
+
+function readConfigFile(file, problems) {
+  if (!file) return {};
+  try {
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+      problems.push(`CONFIG_FILE: ${file} must contain a JSON object`);
+      return {};
+    }
+    return content;
+  } catch (err) {
+    problems.push(`CONFIG_FILE: cannot read ${file} (${err.message})`);
+    return {};
+  }
+}
+
+/**
+ * Converts a raw value to the setting's type. Environment values are always
+ * strings; file values may already be numbers, arrays or objects.
+ */
+function parseValue(raw, setting) {
+  switch (setting.type) {
+    case 'integer':
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (String(raw).trim() === '' || !Number.isFinite(value)) throw new Error(`expected a number, got "${raw}"`);
+      if (setting.type === 'integer' && !Number.isInteger(value)) throw new Error(`expected a whole number, got "${raw}"`);
+      if (setting.min !== undefined && value < setting.min) throw new Error(`must be at least ${setting.min}, got ${value}`);
+      if (setting.max !== undefined && value > setting.max) throw new Error(`must be at most ${setting.max}, got ${value}`);
+      return value;
+    }
+    case 'enum':
+      if (!setting.values.includes(String(raw).toLowerCase())) {
+        throw new Error(`must be one of ${setting.values.join(', ')}, got "${raw}"`);
+      }
+      return String(raw).toLowerCase();
+    case 'string':
+      if (typeof raw !== 'string') throw new Error('expected a string');
+      return raw;
+    case 'base64':
+      if (typeof raw !== 'string' || !/^[A-Za-z0-9+/\s]+={0,2}\s*$/.test(raw)) throw new Error('expected base64 text');
+      return raw;
+    case 'url':
+      return parseUrl(raw);
+    case 'list':
+      return toList(raw);
+    case 'urls':
+      return toList(raw).map(parseUrl);
+    case 'seconds-map':
+      return parseSecondsMap(raw);
+    default:
+      throw new Error(`unsupported setting type ${setting.type}`);
+  }
+}
+
+function parseUrl(raw) {
+  let url;
+  try {
+    url = new URL(String(raw).trim());
+  } catch {
+    throw new Error(`expected an http(s) URL, got "${raw}"`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`expected an http(s) URL, got "${raw}"`);
+  }
+  return String(raw).trim().replace(/\/+$/, '');
+}
+
+function toList(raw) {
+  const items = Array.isArray(raw) ? raw : String(raw).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * `name:seconds,...` (or an object in the config file) to seconds by name
+ */
+function parseSecondsMap(raw) {
+  const entries = typeof raw === 'object' && !Array.isArray(raw)
+    ? Object.entries(raw)
+    : toList(raw).map(entry => entry.split(':'));
+
+  const result = {};
+  for (const [name, seconds] of entries) {
+    if (!name || !(Number(seconds) > 0)) throw new Error(`expected name:seconds entries, got "${name}:${seconds}"`);
+    result[name] = Number(seconds);
+  }
+  return result;
+}
+
+/**
+ * The effective configuration for the admin API: every setting with its value,
+ * where it came from (env, file or default), its variable and description.
+ * Secret values are replaced, and only tell whether they are set.
+ */
+export function describeConfig(config) {
+  const origin = sources.get(config) || {};
+  return Object.fromEntries(Object.entries(SETTINGS).map(([key, setting]) => {
+    const value = config[key];
+    return [key, {
+      value: setting.secret && value ? REDACTED : value,
+      source: origin[key],
+      env: setting.env,
+      default: setting.secret ? null : setting.default,
+      description: setting.description
+    }];
+  }));
+}
@@ -0,0 +1,32 @@
+import logger from './logger.js';
+
+/**
+ * Origins allowed to call the API from a browser, from the configured frontend
+ * and CORS URLs (paths are dropped). An empty list allows any origin, which is
+ * only meant for local development.
+ */
+export function allowedOrigins(urls) {
+  const origins = new Set();
+  for (const entry of urls.filter(Boolean)) {
+    try {
+      origins.add(new URL(entry).origin);
+    } catch {
+      logger.warn('Ignoring invalid CORS origin', { origin: entry });
+    }
+  }
+  return [...origins];
+}
+
+/**
+ * The `origin` option for the cors middleware. Allowed origins are echoed back
+ * (with Vary: Origin); other browser origins get no CORS headers and are blocked
+ * by the browser. Requests without an Origin header are not affected.
+ */
+export function corsOrigin(origins) {
+  if (origins.length === 0) {
+    logger.warn('CORS: no FRONTEND_URL or CORS_ORIGINS set, allowing any origin');
+    return '*';
+  }
+  logger.info('CORS: allowing configured origins', { origins });
+  return origins;
+}
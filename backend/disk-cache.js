@@ -0,0 +1,283 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import logger from './logger.js';
+
+const TEMP_PREFIX = '.tmp-';
+const META_SUFFIX = '.meta.json';
+const KEY_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Size-capped, least-recently-used cache of audio files stored on disk.
+ *
+ * Entries are plain files named after their cache key, so the cache survives
+ * restarts: `init()` re-indexes whatever is already in the directory, using
+ * each file's access time as its last access time. The modification time is
+ * left alone, so it stays a validator for HTTP caching. An entry can carry a
+ * small metadata object, stored next to it as `<key>.meta.json`.
+ *
+ * With `maxAgeMs`, expire() also removes entries that have not been used for that long.
+ */
+export default class DiskCache {
+  constructor({ dir, maxBytes, maxAgeMs = 0 }) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.maxAgeMs = maxAgeMs;
+    // Map iteration order doubles as LRU order: oldest entry first
+    this.entries = new Map();
+    this.totalBytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Creates the cache directory, removes abandoned temp files and indexes existing entries
+   */
+  async init() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    const found = [];
+    for (const name of await fs.promises.readdir(this.dir)) {
+      const filePath = path.join(this.dir, name);
+
+      if (name.startsWith(TEMP_PREFIX)) {
+        // Directories too, where HLS renditions are packaged
+        await fs.promises.rm(filePath, { recursive: true, force: true });
+        logger.info('Removed abandoned temp file', { name });
+        continue;
+      }
+
+      if (name.endsWith(META_SUFFIX)) continue;
+
+      const stats = await fs.promises.stat(filePath);
+      if (stats.isFile() && KEY_PATTERN.test(name)) {
+        found.push({ key: name, size: stats.size, mtime: stats.mtime, lastAccess: stats.atimeMs });
+      }
+    }
+
+    found.sort((a, b) => a.lastAccess - b.lastAccess);
+    for (const { key, size, mtime, lastAccess } of found) {
+      this.entries.set(key, { size, mtime, lastAccess, readers: 0, meta: await this.readMeta(key) });
+      this.totalBytes += size;
+    }
+
+    logger.info('Indexed cached files', { files: this.entries.size, sizeMB: formatMB(this.totalBytes), maxSizeMB: formatMB(this.maxBytes) });
+    await this.evict();
+  }
+
+  /**
+   * Returns the on-disk location for a cache key
+   */
+  filePath(key) {
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid cache key: ${key}`);
+    }
+    return path.join(this.dir, key);
+  }
+
+  /**
+   * Returns a unique temp path inside the cache directory for writing a new entry.
+   * The key is kept as the suffix so tools that look at the extension still work.
+   */
+  tempPath(key) {
+    this.filePath(key);
+    return path.join(this.dir, `${TEMP_PREFIX}${crypto.randomBytes(6).toString('hex')}-${key}`);
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Looks up an entry and marks it as most recently used
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.misses++;
+      return undefined;
+    }
+
+    this.hits++;
+    this.touch(key, entry);
+    return { key, path: this.filePath(key), size: entry.size, mtime: entry.mtime, meta: entry.meta };
+  }
+
+  /**
+   * Atomically moves a finished temp file into the cache and evicts old entries if over budget.
+   * onMoved(path) is called as soon as the file is at its final path, so anything
+   * still pointing at tempFile can follow it.
+   */
+  async commit(key, tempFile, meta = null, onMoved = () => {}) {
+    const target = this.filePath(key);
+    const { size, mtime } = await fs.promises.stat(tempFile);
+
+    // The metadata goes first so an indexed entry never lacks it
+    if (meta) {
+      const tempMeta = `${tempFile}${META_SUFFIX}`;
+      await fs.promises.writeFile(tempMeta, JSON.stringify(meta));
+      await fs.promises.rename(tempMeta, `${target}${META_SUFFIX}`);
+    } else {
+      await fs.promises.rm(`${target}${META_SUFFIX}`, { force: true });
+    }
+    await fs.promises.rename(tempFile, target);
+    onMoved(target);
+
+    const previous = this.entries.get(key);
+    if (previous) {
+      this.totalBytes -= previous.size;
+      this.entries.delete(key);
+    }
+    this.entries.set(key, { size, mtime, lastAccess: Date.now(), readers: previous ? previous.readers : 0, meta });
+    this.totalBytes += size;
+
+    await this.evict(key);
+    return { key, path: target, size, mtime, meta };
+  }
+
+  /**
+   * Replaces the metadata of an existing entry
+   */
+  async updateMeta(key, meta) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    const target = `${this.filePath(key)}${META_SUFFIX}`;
+    const tempMeta = `${this.tempPath(key)}${META_SUFFIX}`;
+    await fs.promises.writeFile(tempMeta, JSON.stringify(meta));
+    await fs.promises.rename(tempMeta, target);
+    entry.meta = meta;
+    return true;
+  }
+
+  /**
+   * Protects an entry from eviction, like a reader does, until the returned
+   * function is called. Returns null if the entry is gone.
+   */
+  pin(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    entry.readers++;
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      entry.readers--;
+    };
+  }
+
+  /**
+   * Opens a read stream on an entry. The entry is protected from eviction until the stream closes.
+   */
+  createReadStream(key, options) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      throw new Error(`Cache entry not found: ${key}`);
+    }
+
+    entry.readers++;
+    const stream = fs.createReadStream(this.filePath(key), options);
+    stream.once('close', () => {
+      entry.readers--;
+    });
+    return stream;
+  }
+
+  async delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    this.totalBytes -= entry.size;
+    await fs.promises.rm(this.filePath(key), { force: true });
+    await fs.promises.rm(`${this.filePath(key)}${META_SUFFIX}`, { force: true });
+    return true;
+  }
+
+  async readMeta(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(`${this.filePath(key)}${META_SUFFIX}`, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Removes least recently used entries until the cache fits its size budget.
+   * Entries being read and the entry passed as `keep` are never evicted.
+   */
+  async evict(keep) {
+    for (const [key, entry] of this.entries) {
+      if (this.totalBytes <= this.maxBytes) break;
+      if (key === keep || entry.readers > 0) continue;
+
+      await this.delete(key);
+      this.evictions++;
+      logger.info('Evicted cached file', { key, sizeMB: formatMB(entry.size) });
+    }
+  }
+
+  /**
+   * Removes entries unused for longer than maxAgeMs, except those being read
+   */
+  async expire(now = Date.now()) {
+    if (!this.maxAgeMs) return 0;
+
+    let expired = 0;
+    for (const [key, entry] of this.entries) {
+      // LRU order: everything after the first recent entry is recent too
+      if (now - entry.lastAccess <= this.maxAgeMs) break;
+      if (entry.readers > 0) continue;
+
+      await this.delete(key);
+      expired++;
+    }
+    if (expired > 0) {
+      logger.info('Expired cached files', { files: expired, maxAgeHours: this.maxAgeMs / (60 * 60 * 1000) });
+    }
+    return expired;
+  }
+
+  /**
+   * Removes every entry that is not being read. Returns how many were removed.
+   */
+  async clear() {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.readers > 0) continue;
+      await this.delete(key);
+      removed++;
+    }
+    logger.info('Cleared audio cache', { files: removed });
+    return removed;
+  }
+
+  touch(key, entry) {
+    entry.lastAccess = Date.now();
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    // Persist the access time so LRU order survives a restart
+    fs.promises.utimes(this.filePath(key), new Date(), entry.mtime).catch(err => {
+      logger.warn('Failed to update access time', { key, error: err });
+    });
+  }
+
+  stats() {
+    return {
+      directory: this.dir,
+      files: this.entries.size,
+      totalSizeMB: formatMB(this.totalBytes),
+      maxSizeMB: formatMB(this.maxBytes),
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions
+    };
+  }
+}
+
+function formatMB(bytes) {
+  return (bytes / (1024 * 1024)).toFixed(2);
+}
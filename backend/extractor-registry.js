@@ -0,0 +1,193 @@
+import logger from './logger.js';
+
+/**
+ * Named extraction strategies, tried in order until one succeeds.
+ *
+ * Each strategy gets its own timeout and success/failure counters. After
+ * `failureThreshold` failures in a row its circuit opens and the strategy is
+ * skipped for `cooldownMs`; the next run after that is a trial, which closes the
+ * circuit on success and opens it again on failure.
+ *
+ * A strategy is `{ timeoutMs, supports(context), run(context, signal) }`.
+ * supports() is optional and lets a strategy sit out requests it cannot handle.
+ * A strategy that throws an error with `fallback = false` ends the chain (e.g.
+ * when clients already received part of its output). An error with
+ * `videoError = true` says the video itself cannot be had (unavailable, private,
+ * age-restricted): it ends the chain too, and does not count against the strategy.
+ */
+export default class ExtractorRegistry {
+  constructor({ order = [], timeouts = {}, failureThreshold = 3, cooldownMs = 5 * 60 * 1000 } = {}) {
+    this.order = order;
+    this.timeouts = timeouts;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.strategies = new Map();
+  }
+
+  register(name, { timeoutMs, supports = () => true, run }) {
+    this.strategies.set(name, {
+      name,
+      timeoutMs: this.timeouts[name] ?? timeoutMs,
+      supports,
+      run,
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      openUntil: 0,
+      lastError: null,
+      lastSuccessAt: null,
+      lastFailureAt: null
+    });
+    return this;
+  }
+
+  /**
+   * Registered strategies in the configured order. With an order configured,
+   * strategies missing from it are disabled.
+   */
+  enabled() {
+    if (this.order.length === 0) return [...this.strategies.values()];
+    return this.order.map(name => this.strategies.get(name)).filter(Boolean);
+  }
+
+  /**
+   * Names in the configured order that no strategy is registered under
+   */
+  unknownInOrder() {
+    return this.order.filter(name => !this.strategies.has(name));
+  }
+
+  circuitState(strategy, now = Date.now()) {
+    if (strategy.consecutiveFailures < this.failureThreshold) return 'closed';
+    return now < strategy.openUntil ? 'open' : 'half-open';
+  }
+
+  /**
+   * Runs the strategies for a request until one succeeds. Resolves to
+   * `{ result, strategy, attempts }`; every attempt is `{ strategy, outcome, durationMs, error }`
+   * with outcome ok, failed, timeout, video-error or circuit-open. onAttempt(attempt) is
+   * called as each one starts (outcome 'running') and ends.
+   *
+   * Rejects with code EXTRACTION_FAILED and the attempts if all strategies fail,
+   * or with the abort reason as soon as signal aborts.
+   */
+  async run(context, { signal, onAttempt = () => {} } = {}) {
+    const log = context.log || logger;
+    const attempts = [];
+
+    for (const strategy of this.enabled()) {
+      if (!strategy.supports(context)) continue;
+
+      if (this.circuitState(strategy) === 'open') {
+        const attempt = { strategy: strategy.name, outcome: 'circuit-open', durationMs: 0, error: null };
+        attempts.push(attempt);
+        onAttempt(attempt);
+        continue;
+      }
+
+      signal?.throwIfAborted();
+      onAttempt({ strategy: strategy.name, outcome: 'running', durationMs: 0, error: null });
+
+      const startedAt = Date.now();
+      const timeout = strategy.timeoutMs ? AbortSignal.timeout(strategy.timeoutMs) : null;
+      const attemptSignal = signal && timeout ? AbortSignal.any([signal, timeout]) : signal || timeout;
+
+      try {
+        const result = await strategy.run(context, attemptSignal);
+        strategy.successes++;
+        strategy.consecutiveFailures = 0;
+        strategy.lastSuccessAt = new Date().toISOString();
+
+        const attempt = { strategy: strategy.name, outcome: 'ok', durationMs: Date.now() - startedAt, error: null };
+        attempts.push(attempt);
+        onAttempt(attempt);
+        return { result, strategy: strategy.name, attempts };
+      } catch (err) {
+        // Cancelled by the caller, which says nothing about the strategy
+        if (signal?.aborted) throw err;
+
+        // Every other strategy would fail the same way, and none of them is broken
+        if (err.videoError) {
+          const attempt = { strategy: strategy.name, outcome: 'video-error', durationMs: Date.now() - startedAt, error: err.message };
+          attempts.push(attempt);
+          onAttempt(attempt);
+          log.info('Video cannot be extracted', { strategy: strategy.name, error: err.message });
+          err.attempts = attempts;
+          throw err;
+        }
+
+        const timedOut = Boolean(timeout?.aborted);
+        strategy.failures++;
+        strategy.consecutiveFailures++;
+        strategy.lastError = timedOut ? `Timed out after ${strategy.timeoutMs / 1000}s` : err.message;
+        strategy.lastFailureAt = new Date().toISOString();
+
+        const attempt = {
+          strategy: strategy.name,
+          outcome: timedOut ? 'timeout' : 'failed',
+          durationMs: Date.now() - startedAt,
+          error: strategy.lastError
+        };
+        attempts.push(attempt);
+        onAttempt(attempt);
+        log.warn('Extraction strategy failed', { strategy: strategy.name, outcome: attempt.outcome, error: attempt.error });
+
+        if (strategy.consecutiveFailures >= this.failureThreshold) {
+          strategy.openUntil = Date.now() + this.cooldownMs;
+          log.warn('Extraction strategy circuit opened', {
+            strategy: strategy.name,
+            consecutiveFailures: strategy.consecutiveFailures,
+            cooldownSeconds: this.cooldownMs / 1000
+          });
+        }
+
+        if (err.fallback === false) {
+          err.attempts = attempts;
+          throw err;
+        }
+      }
+    }
+
+    const error = new Error(attempts.length > 0
+      ? `All extraction strategies failed (${describeAttempts(attempts)})`
+      : 'No extraction strategy is available for this request');
+    error.code = 'EXTRACTION_FAILED';
+    error.attempts = attempts;
+    throw error;
+  }
+
+  stats() {
+    const now = Date.now();
+    return {
+      failureThreshold: this.failureThreshold,
+      cooldownSeconds: this.cooldownMs / 1000,
+      strategies: this.enabled().map(strategy => ({
+        name: strategy.name,
+        timeoutSeconds: strategy.timeoutMs ? strategy.timeoutMs / 1000 : null,
+        successes: strategy.successes,
+        failures: strategy.failures,
+        consecutiveFailures: strategy.consecutiveFailures,
+        circuit: this.circuitState(strategy, now),
+        retryAt: this.circuitState(strategy, now) === 'open' ? new Date(strategy.openUntil).toISOString() : null,
+        lastError: strategy.lastError,
+        lastSuccessAt: strategy.lastSuccessAt,
+        lastFailureAt: strategy.lastFailureAt
+      }))
+    };
+  }
+}
+
+/**
+ * Attempt history in a compact form, e.g. `stream:failed, full-options:ok`
+ */
+export function describeAttempts(attempts) {
+  return attempts.map(({ strategy, outcome }) => `${strategy}:${outcome}`).join(', ');
+}
+
+/**
+ * Value of the X-Extractor response header: the strategy that produced a file
+ * and the attempts before it, e.g. `simplified; attempts="stream:failed, full-options:failed, simplified:ok"`
+ */
+export function extractorHeader({ strategy, attempts }) {
+  return `${strategy}; attempts="${describeAttempts(attempts)}"`;
+}
@@ -0,0 +1,283 @@
+import fs from 'fs';
+import path from 'path';
+import { finished } from 'stream/promises';
+import { runProcess, spawnProcess, waitForExit } from './process-runner.js';
+import { AUDIO_FORMATS, codecArgs, ytdlpAudioQuality } from './formats.js';
+import {
+  ytdlpPath,
+  cookiesPath,
+  cookieArgs,
+  configArgs,
+  downloadYtDlp,
+  runYtDlp,
+  countYtDlpExit,
+  markVideoError,
+  watchProgress,
+  PROGRESS_TEMPLATE,
+  PROGRESS_FLAGS
+} from './ytdlp.js';
+import logger from './logger.js';
+
+/**
+ * Ways to get a track out of YouTube, registered in their default order:
+ *
+ * - stream: yt-dlp piped into ffmpeg, written to a file clients can play while it grows
+ * - full-options, simplified, bestaudio: yt-dlp's own extraction with fewer options each time
+ * - direct-url: the audio URL from yt-dlp, downloaded with curl or wget and transcoded
+ * - ytdl-core: in-process download with ytdl-core, for when yt-dlp itself is broken
+ *
+ * Every strategy gets `{ videoId, url, outputPath, file, format, quality, ytdlpOptions, onProgress, log }`
+ * and the signal to stop on. ytdlpOptions are extra yt-dlp options (e.g. SponsorBlock)
+ * that a strategy must apply or sit out. Downloads that are only read once, like
+ * direct-url's source file, go to tmpDir.
+ */
+export function registerExtractors(registry, { tmpDir }) {
+  registry.register('stream', {
+    timeoutMs: 5 * 60 * 1000,
+    supports: context => Boolean(context.file && AUDIO_FORMATS[context.format].muxer) && !hasYtdlpOptions(context),
+    run: async ({ videoId, file, format, quality, onProgress, log }, signal) => {
+      try {
+        await streamExtractAudio(videoId, file, { format, quality, signal, onProgress, log });
+      } catch (err) {
+        // Clients may already be playing these bytes, so there is nothing to fall back to
+        if (file.bytesWritten > 0) err.fallback = false;
+        throw err;
+      }
+    }
+  });
+
+  // All options (most reliable)
+  registry.register('full-options', {
+    timeoutMs: 5 * 60 * 1000,
+    run: async ({ url, outputPath, format, quality, ytdlpOptions, onProgress, log }, signal) => {
+      await prepareYtDlpRun(outputPath, log);
+
+      const options = {
+        '--output': outputPath,
+        '--extract-audio': true,
+        '--audio-format': AUDIO_FORMATS[format].ytdlpFormat,
+        '--audio-quality': ytdlpAudioQuality(quality),
+        '--geo-bypass': true,
+        '--no-check-certificate': true,
+        '--newline': true,
+        '--progress': true,
+        '--progress-template': PROGRESS_TEMPLATE,
+        ...ytdlpOptions
+      };
+      if (cookiesPath && fs.existsSync(cookiesPath)) {
+        options['--cookies'] = cookiesPath;
+      }
+
+      const args = [url];
+      for (const [key, value] of Object.entries(options)) {
+        if (value === true) {
+          args.push(key);
+        } else {
+          args.push(key, String(value));
+        }
+      }
+
+      log.debug('Running yt-dlp', { strategy: 'full-options', args });
+      const { stderr } = await runYtDlp(args, { signal, onProgress });
+      if (stderr) log.debug('yt-dlp stderr', { strategy: 'full-options', stderr });
+      requireOutput(outputPath, 'full-options', log);
+    }
+  });
+
+  // Simplified command with basic options
+  registry.register('simplified', {
+    timeoutMs: 5 * 60 * 1000,
+    run: async ({ url, outputPath, format, quality, ytdlpOptions, onProgress, log }, signal) => {
+      await prepareYtDlpRun(outputPath, log);
+
+      const args = [
+        url, '-x', '--audio-format', AUDIO_FORMATS[format].ytdlpFormat, '--audio-quality', ytdlpAudioQuality(quality),
+        '-o', outputPath, '--geo-bypass', ...PROGRESS_FLAGS, ...ytdlpExtraArgs(ytdlpOptions)
+      ];
+      log.debug('Running yt-dlp', { strategy: 'simplified', args });
+      const { stderr } = await runYtDlp(args, { signal, onProgress });
+      if (stderr) log.debug('yt-dlp stderr', { strategy: 'simplified', stderr });
+      requireOutput(outputPath, 'simplified', log);
+    }
+  });
+
+  // Explicit format selection
+  registry.register('bestaudio', {
+    timeoutMs: 5 * 60 * 1000,
+    run: async ({ url, outputPath, format, quality, ytdlpOptions, onProgress, log }, signal) => {
+      await prepareYtDlpRun(outputPath, log);
+
+      const args = [
+        url, '-f', 'bestaudio', '-x', '--audio-format', AUDIO_FORMATS[format].ytdlpFormat,
+        '--audio-quality', ytdlpAudioQuality(quality), '-o', outputPath, ...PROGRESS_FLAGS, ...ytdlpExtraArgs(ytdlpOptions)
+      ];
+      log.debug('Running yt-dlp', { strategy: 'bestaudio', args });
+      const { stderr } = await runYtDlp(args, { signal, onProgress });
+      if (stderr) log.debug('yt-dlp stderr', { strategy: 'bestaudio', stderr });
+      requireOutput(outputPath, 'bestaudio', log);
+    }
+  });
+
+  // Direct download of the audio URL and an ffmpeg transcode. This skips yt-dlp's
+  // post-processing, which extra yt-dlp options need.
+  registry.register('direct-url', {
+    timeoutMs: 5 * 60 * 1000,
+    supports: context => !hasYtdlpOptions(context),
+    run: async ({ url, outputPath, format, quality, onProgress, log }, signal) => {
+      await prepareYtDlpRun(outputPath, log);
+
+      log.debug('Getting audio URL', { url });
+      const { stdout: audioUrl } = await runYtDlp([url, '-f', 'bestaudio', '--get-url'], { signal });
+      const directUrl = audioUrl.trim();
+      if (!directUrl) {
+        throw new Error('Failed to get direct audio URL');
+      }
+      log.debug('Got direct audio URL', { url: directUrl });
+
+      // Download with curl or wget
+      const sourceFile = path.join(tmpDir, `${path.basename(outputPath)}.source`);
+      try {
+        try {
+          await runProcess('curl', ['-L', directUrl, '-o', sourceFile], { signal });
+        } catch (err) {
+          signal?.throwIfAborted();
+          await runProcess('wget', [directUrl, '-O', sourceFile], { signal });
+        }
+
+        onProgress({ stage: 'transcoding', percent: 100, eta: null });
+        await runProcess('ffmpeg', ['-hide_banner', '-loglevel', 'error', '-y', '-i', sourceFile, '-vn', '-ac', '2', ...codecArgs(format, quality), outputPath], { signal });
+      } finally {
+        fs.rmSync(sourceFile, { force: true });
+      }
+      requireOutput(outputPath, 'direct-url', log);
+    }
+  });
+
+  // ytdl-core in process, piped into ffmpeg. It does not need the yt-dlp binary,
+  // so it still works when yt-dlp is missing or broken.
+  registry.register('ytdl-core', {
+    timeoutMs: 5 * 60 * 1000,
+    supports: context => !hasYtdlpOptions(context),
+    run: async ({ videoId, outputPath, format, quality, onProgress, log }, signal) => {
+      // Loaded on first use, so the other strategies work without the package
+      const { default: ytdl } = await import('ytdl-core');
+      const info = await ytdl.getInfo(videoId).catch(err => {
+        throw markVideoError(err);
+      });
+      signal?.throwIfAborted();
+
+      const audio = ytdl.downloadFromInfo(info, { quality: 'highestaudio', filter: 'audioonly' });
+      audio.on('progress', (_, downloaded, total) => {
+        onProgress({ stage: 'downloading', percent: total ? Math.min(100, Math.round(downloaded / total * 100)) : null, eta: null });
+      });
+
+      const ffmpeg = spawnProcess('ffmpeg', [
+        '-hide_banner', '-loglevel', 'error', '-y', '-i', 'pipe:0', '-vn', '-ac', '2', ...codecArgs(format, quality), outputPath
+      ], { stdio: ['pipe', 'ignore', 'pipe'] });
+      // ffmpeg closing its input early is reported through its own exit code
+      ffmpeg.stdin.on('error', () => {});
+      audio.pipe(ffmpeg.stdin);
+
+      try {
+        await Promise.all([finished(audio), waitForExit(ffmpeg, 'ffmpeg', { signal })]);
+      } catch (err) {
+        audio.destroy();
+        ffmpeg.kill();
+        throw err;
+      }
+      requireOutput(outputPath, 'ytdl-core', log);
+    }
+  });
+}
+
+/**
+ * Prepares a file-based yt-dlp strategy: removes what an earlier attempt left
+ * at outputPath and makes sure the binary is present and executable
+ */
+async function prepareYtDlpRun(outputPath, log) {
+  if (fs.existsSync(outputPath)) {
+    try {
+      fs.unlinkSync(outputPath);
+      log.debug('Removed existing output file', { path: outputPath });
+    } catch (err) {
+      log.warn('Failed to remove existing output file', { path: outputPath, error: err });
+    }
+  }
+
+  if (!fs.existsSync(ytdlpPath)) {
+    log.info('yt-dlp binary not found, downloading');
+    await downloadYtDlp();
+  }
+
+  try {
+    fs.chmodSync(ytdlpPath, 0o755);
+  } catch (err) {
+    log.warn('Failed to set executable permissions', { error: err });
+  }
+}
+
+/**
+ * Fails a strategy whose command succeeded without writing the output file
+ */
+function requireOutput(outputPath, strategy, log) {
+  if (!fs.existsSync(outputPath)) {
+    throw new Error(`${strategy}: output file not found`);
+  }
+  log.info('Extraction strategy succeeded', { strategy, bytes: fs.statSync(outputPath).size });
+}
+
+function ytdlpExtraArgs(ytdlpOptions) {
+  return Object.entries(ytdlpOptions).flatMap(([key, value]) => [key, String(value)]);
+}
+
+function hasYtdlpOptions({ ytdlpOptions }) {
+  return Object.keys(ytdlpOptions).length > 0;
+}
+
+/**
+ * Streams audio straight out of yt-dlp and ffmpeg into a progressive file,
+ * so clients can start listening before the transcode is finished.
+ * Only works for formats that ffmpeg can write to a pipe.
+ */
+async function streamExtractAudio(videoId, file, { format, quality, signal, onProgress, log = logger }) {
+  const { muxer } = AUDIO_FORMATS[format];
+  if (!muxer) {
+    throw new Error(`${format} cannot be streamed while it is transcoded`);
+  }
+
+  const url = `https://www.youtube.com/watch?v=${videoId}`;
+  log.debug('Streaming extraction', { url });
+
+  const ytdlpArgs = [
+    url, '-f', 'bestaudio', '-o', '-', '--quiet', '--no-warnings', '--geo-bypass', '--no-check-certificate',
+    '--newline', '--progress', '--progress-template', PROGRESS_TEMPLATE, ...cookieArgs(), ...configArgs()
+  ];
+
+  const ytdlp = spawnProcess(ytdlpPath, ytdlpArgs);
+  const ffmpegArgs = ['-hide_banner', '-loglevel', 'error', '-i', 'pipe:0', '-vn', '-ac', '2', ...codecArgs(format, quality), '-f', muxer, 'pipe:1'];
+  const ffmpeg = spawnProcess('ffmpeg', ffmpegArgs, { stdio: ['pipe', 'pipe', 'pipe'] });
+
+  // With output going to stdout, yt-dlp reports progress on stderr
+  watchProgress(ytdlp.stderr, onProgress);
+
+  // ffmpeg closing its input early is reported through its own exit code
+  ffmpeg.stdin.on('error', () => {});
+  ytdlp.stdout.pipe(ffmpeg.stdin);
+
+  const ytdlpRun = countYtDlpExit(waitForExit(ytdlp, 'yt-dlp', { signal }));
+  try {
+    await Promise.all([
+      ytdlpRun,
+      waitForExit(ffmpeg, 'ffmpeg', { signal }),
+      file.writeFrom(ffmpeg.stdout)
+    ]);
+  } catch (err) {
+    ytdlp.kill();
+    ffmpeg.kill();
+    // ffmpeg may notice first that yt-dlp sent nothing; what yt-dlp said is the reason
+    const ytdlpError = markVideoError(await ytdlpRun.then(() => null, error => error));
+    throw ytdlpError?.videoError ? ytdlpError : err;
+  }
+
+  log.info('Streaming extraction finished', { bytes: file.bytesWritten });
+}
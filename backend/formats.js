@@ -0,0 +1,162 @@
+/**
+ * Output formats served by /audio.
+ *
+ * - mimeType: Content-Type of the produced file
+ * - acceptTypes: media types that select this format during Accept negotiation
+ * - ytdlpFormat: value for yt-dlp's --audio-format
+ * - encoder: ffmpeg audio encoder
+ * - sampleRate: output sample rate in Hz (Opus only supports 48 kHz)
+ * - lossless: whether the codec ignores bitrate presets
+ * - muxer: ffmpeg output format when transcoding to a pipe; formats without one
+ *   need a seekable output file and cannot be streamed while they are produced
+ */
+export const AUDIO_FORMATS = {
+  mp3: {
+    extension: 'mp3',
+    mimeType: 'audio/mpeg',
+    acceptTypes: ['audio/mpeg', 'audio/mp3'],
+    ytdlpFormat: 'mp3',
+    encoder: 'libmp3lame',
+    sampleRate: 44100,
+    lossless: false,
+    muxer: 'mp3'
+  },
+  m4a: {
+    extension: 'm4a',
+    mimeType: 'audio/mp4',
+    acceptTypes: ['audio/mp4', 'audio/aac', 'audio/x-m4a'],
+    ytdlpFormat: 'm4a',
+    encoder: 'aac',
+    sampleRate: 44100,
+    lossless: false,
+    muxer: null
+  },
+  opus: {
+    extension: 'opus',
+    mimeType: 'audio/ogg; codecs=opus',
+    acceptTypes: ['audio/opus'],
+    ytdlpFormat: 'opus',
+    encoder: 'libopus',
+    sampleRate: 48000,
+    lossless: false,
+    muxer: 'ogg'
+  },
+  ogg: {
+    extension: 'ogg',
+    mimeType: 'audio/ogg',
+    acceptTypes: ['audio/ogg', 'audio/vorbis', 'application/ogg'],
+    ytdlpFormat: 'vorbis',
+    encoder: 'libvorbis',
+    sampleRate: 44100,
+    lossless: false,
+    muxer: 'ogg'
+  },
+  flac: {
+    extension: 'flac',
+    mimeType: 'audio/flac',
+    acceptTypes: ['audio/flac', 'audio/x-flac'],
+    ytdlpFormat: 'flac',
+    encoder: 'flac',
+    sampleRate: 44100,
+    lossless: true,
+    muxer: 'flac'
+  },
+  wav: {
+    extension: 'wav',
+    mimeType: 'audio/wav',
+    acceptTypes: ['audio/wav', 'audio/x-wav', 'audio/wave'],
+    ytdlpFormat: 'wav',
+    encoder: 'pcm_s16le',
+    sampleRate: 44100,
+    lossless: true,
+    muxer: null
+  }
+};
+
+export const DEFAULT_FORMAT = 'mp3';
+
+/**
+ * Quality presets accepted as ?quality=. Lossy formats are encoded at the preset's
+ * bitrate (kbit/s); lossless formats are always served as 'lossless'.
+ */
+export const QUALITY_PRESETS = {
+  low: { bitrate: 64 },
+  normal: { bitrate: 128 },
+  high: { bitrate: 256 },
+  lossless: { bitrate: null }
+};
+
+export const DEFAULT_QUALITY = 'high';
+
+/**
+ * Picks the output format for an /audio request: an explicit ?format= wins,
+ * then FLAC if ?quality=lossless, otherwise the best match for the Accept header,
+ * falling back to MP3. Returns `{ format, negotiated }`, or `{ error }` for an
+ * unknown format.
+ */
+export function resolveFormat(req) {
+  const requested = req.query.format;
+  if (requested !== undefined) {
+    if (!Object.hasOwn(AUDIO_FORMATS, requested)) {
+      return { error: `Unsupported format. Use one of: ${Object.keys(AUDIO_FORMATS).join(', ')}` };
+    }
+    return { format: requested, negotiated: false };
+  }
+
+  if (req.query.quality === 'lossless') {
+    return { format: 'flac', negotiated: false };
+  }
+
+  // MP3 types come first so wildcards like */* and audio/* keep the MP3 default
+  const candidates = Object.values(AUDIO_FORMATS).flatMap(format => format.acceptTypes);
+  const accepted = req.accepts(candidates);
+  const match = accepted && Object.keys(AUDIO_FORMATS).find(name => AUDIO_FORMATS[name].acceptTypes.includes(accepted));
+
+  return { format: match || DEFAULT_FORMAT, negotiated: true };
+}
+
+/**
+ * Validates a quality preset for a format. Returns `{ quality }` with the preset
+ * that will actually be produced, or `{ error }`.
+ */
+export function resolveQuality(requested, format) {
+  const quality = requested ?? DEFAULT_QUALITY;
+  if (!Object.hasOwn(QUALITY_PRESETS, quality)) {
+    return { error: `Unsupported quality. Use one of: ${Object.keys(QUALITY_PRESETS).join(', ')}` };
+  }
+
+  if (AUDIO_FORMATS[format].lossless) {
+    return { quality: 'lossless' };
+  }
+  if (quality === 'lossless') {
+    const lossless = Object.keys(AUDIO_FORMATS).filter(name => AUDIO_FORMATS[name].lossless);
+    return { error: `Lossless quality needs a lossless format (${lossless.join(', ')})` };
+  }
+  return { quality };
+}
+
+/**
+ * ffmpeg arguments that encode to a format at a quality preset
+ */
+export function codecArgs(format, quality) {
+  const { bitrate } = QUALITY_PRESETS[quality];
+  const { encoder, sampleRate } = AUDIO_FORMATS[format];
+  const args = ['-c:a', encoder, '-ar', String(sampleRate)];
+  return bitrate ? [...args, '-b:a', `${bitrate}k`] : args;
+}
+
+/**
+ * yt-dlp --audio-quality value for a quality preset
+ */
+export function ytdlpAudioQuality(quality) {
+  const { bitrate } = QUALITY_PRESETS[quality];
+  return bitrate ? `${bitrate}K` : '0';
+}
+
+/**
+ * Human-readable bitrate for response headers
+ */
+export function describeBitrate(quality) {
+  const { bitrate } = QUALITY_PRESETS[quality];
+  return bitrate ? `${bitrate}k` : 'lossless';
+}
@@ -0,0 +1,96 @@
+import path from 'path';
+import readline from 'readline';
+import { spawnProcess, waitForExit } from './process-runner.js';
+
+export const PLAYLIST_MIME_TYPE = 'application/vnd.apple.mpegurl';
+export const SEGMENT_MIME_TYPE = 'video/mp2t';
+
+// AAC-LC, the codec every HLS client supports
+const AAC_CODEC = 'mp4a.40.2';
+
+/**
+ * Splits a track of `duration` seconds into segments of segmentSeconds each (the
+ * last one shorter), so the playlist can be served before any audio exists:
+ * `{ targetDuration, segments: [{ start, duration }] }`
+ */
+export function segmentTimeline(duration, segmentSeconds) {
+  const segments = [];
+  for (let start = 0; start < duration; start += segmentSeconds) {
+    segments.push({ start, duration: Math.min(segmentSeconds, duration - start) });
+  }
+  return { targetDuration: Math.ceil(segmentSeconds), segments };
+}
+
+/**
+ * Encodes audio read from `input` (a stream, e.g. of a file still being extracted)
+ * into MPEG-TS segments of segmentSeconds each, named segment-<index>.ts in
+ * outputDir. It is one continuous encode, so the segments play back to back
+ * without the gap a separate encoder would leave at every segment boundary.
+ *
+ * onSegment(index, path) is awaited for every segment as soon as ffmpeg closes it.
+ * codec is the ffmpeg encoder arguments for the audio (see codecArgs).
+ */
+export async function packageHls(input, outputDir, { segmentSeconds, codec, signal, onSegment }) {
+  const ffmpeg = spawnProcess('ffmpeg', [
+    '-hide_banner', '-loglevel', 'error', '-y',
+    '-i', 'pipe:0', '-map', '0:a', ...codec,
+    '-f', 'segment', '-segment_time', String(segmentSeconds), '-segment_format', 'mpegts',
+    // ffmpeg names every finished segment here, one per line
+    '-segment_list', 'pipe:1', '-segment_list_type', 'flat',
+    path.join(outputDir, 'segment-%d.ts')
+  ], { stdio: ['pipe', 'pipe', 'pipe'] });
+
+  // ffmpeg closing its input early is reported through its own exit code
+  ffmpeg.stdin.on('error', () => {});
+  input.on('error', () => ffmpeg.kill());
+  input.pipe(ffmpeg.stdin);
+
+  const segments = (async () => {
+    for await (const line of readline.createInterface({ input: ffmpeg.stdout })) {
+      const match = /segment-(\d+)\.ts$/.exec(line.trim());
+      if (match) {
+        await onSegment(Number(match[1]), path.join(outputDir, match[0]));
+      }
+    }
+  })();
+
+  try {
+    await Promise.all([waitForExit(ffmpeg, 'ffmpeg', { signal }), segments]);
+  } catch (err) {
+    ffmpeg.kill();
+    throw input.errored || err;
+  } finally {
+    input.destroy();
+  }
+}
+
+/**
+ * VOD media playlist for a rendition. segmentUrl(index) names each segment.
+ */
+export function buildMediaPlaylist({ targetDuration, segments }, segmentUrl) {
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${targetDuration}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD'
+  ];
+  segments.forEach((segment, index) => {
+    lines.push(`#EXTINF:${segment.duration.toFixed(3)},`, segmentUrl(index));
+  });
+  lines.push('#EXT-X-ENDLIST');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Master playlist offering renditions `[{ bitrate (kbit/s), url }]`, lowest first
+ */
+export function buildMasterPlaylist(renditions) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  for (const { bitrate, url } of renditions) {
+    // Peak bandwidth includes roughly 10% of MPEG-TS overhead
+    const bandwidth = Math.round(bitrate * 1000 * 1.1);
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},AVERAGE-BANDWIDTH=${bitrate * 1000},CODECS="${AAC_CODEC}"`, url);
+  }
+  return lines.join('\n') + '\n';
+}
@@ -1,646 +1,379 @@
 import express from 'express';
 import cors from 'cors';
-import NodeCache from 'node-cache';
 import dotenv from 'dotenv';
-import path from 'path';
 import fs from 'fs';
-import { exec } from 'child_process';
-import { promisify } from 'util';
-import os from 'os';
-import rateLimit from 'express-rate-limit';
-import https from 'https';
+import DiskCache from './disk-cache.js';
+import { loadAdminTokens } from './admin-auth.js';
+import { allowedOrigins, corsOrigin } from './cors-policy.js';
+import DailyQuotas, { loadApiKeys, identifyClient, createLimiter, createPlayLimiter, createExtractionWindow, sendLimitError } from './client-limits.js';
+import JobQueue from './job-queue.js';
+import ExtractorRegistry from './extractor-registry.js';
+import MetricsRegistry from './metrics.js';
+import logger, { requestLogger, setLogLevel } from './logger.js';
+import { loadConfig } from './config.js';
+import JobStore from './job-store.js';
+import { resolveFormat, resolveQuality } from './formats.js';
+import { resolveTrim } from './audio-processing.js';
+import { setupYtDlp, ensureYtDlpBinary, ytdlpEvents } from './ytdlp.js';
+import { registerExtractors } from './extractors.js';
+import YouTubeCatalog from './youtube-catalog.js';
+import AudioLibrary from './audio-library.js';
+import { audioRoutes } from './routes/audio.js';
+import { catalogRoutes } from './routes/catalog.js';
+import { hlsRoutes } from './routes/hls.js';
+import { jobRoutes } from './routes/jobs.js';
+import { downloadRoutes } from './routes/download.js';
+import { statusRoutes } from './routes/status.js';
+import { adminRoutes } from './routes/admin.js';
 
 dotenv.config();
-const execPromise = promisify(exec);
+
+// All settings come from config.js; an invalid one stops startup with every problem listed
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  logger.error('Invalid configuration', { problems: error.problems || [error.message] });
+  process.exit(1);
+}
+setLogLevel(config.logLevel);
 
 const app = express();
-const PORT = process.env.PORT || 3000;
-const audioCache = new NodeCache({ stdTTL: 3600 }); // 1 hour cache
 
 // Fix for the X-Forwarded-For header issue - Enable trust proxy
 app.set('trust proxy', 1);
 
-// Rate limiter to avoid excessive YouTube requests
-const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 30, // limit each IP to 30 requests per windowMs
+// Request IDs (X-Request-Id) for every log line logged while handling a request
+app.use(requestLogger());
+
+// Prometheus metrics, scraped from /metrics. Values kept elsewhere (cache, queue,
+// extractors, memory) are read at scrape time further down.
+const metrics = new MetricsRegistry({ prefix: 'yousound_' });
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by method, route and status', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'Time until the response was finished or aborted, by route', ['method', 'route']);
+const bytesServed = metrics.counter('http_response_bytes_total', 'Bytes written to clients, headers included, by route', ['route']);
+const rateLimited = metrics.counter('rate_limited_requests_total', 'Requests rejected by a rate limit or quota, by first path segment and limit', ['path', 'limit']);
+const extractionDuration = metrics.histogram(
+  'extraction_duration_seconds',
+  'Extraction attempts by strategy and outcome',
+  ['strategy', 'outcome'],
+  [1, 2, 5, 10, 20, 30, 60, 120, 300, 600]
+);
+const ytdlpExits = metrics.counter('ytdlp_exits_total', 'yt-dlp runs by exit code, or by signal or failure reason if it did not exit', ['code']);
+
+ytdlpEvents.on('exit', code => ytdlpExits.inc({ code }));
+
+// Counted on close rather than finish, so aborted streams are included. Routes are
+// labeled by their pattern (/audio/:videoId) to keep the number of series small.
+app.use((req, res, next) => {
+  const stopTimer = httpDuration.startTimer();
+  const bytesBefore = req.socket.bytesWritten;
+
+  res.once('close', () => {
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    const status = res.headersSent ? res.statusCode : 'aborted';
+    httpRequests.inc({ method: req.method, route, status });
+    stopTimer({ method: req.method, route });
+    bytesServed.inc({ route }, req.socket.bytesWritten - bytesBefore);
+  });
+  next();
+});
+
+function countRateLimited(req, limit) {
+  rateLimited.inc({ path: `/${req.originalUrl.split(/[/?]/)[1] || ''}`, limit });
+}
+
+// Rate limits per client (API key or IP) to avoid excessive YouTube requests
+const apiLimiter = createLimiter({
+  windowMs: config.rateLimitWindowSeconds * 1000,
+  max: config.rateLimitMax,
   message: 'Too many requests, please try again later',
-  standardHeaders: true,
-  legacyHeaders: false
+  onLimited: req => countRateLimited(req, 'requests')
 });
 
-app.use(cors());
-app.use('/audio', apiLimiter);
-
-// Directory and file paths
-const BIN_DIR = path.join(process.cwd(), 'bin');
-const cookiesPath = path.join(os.tmpdir(), 'youtube_cookies.txt');
-const tmpDir = path.join(os.tmpdir(), 'yt-download');
-const configDir = path.join(os.tmpdir(), 'yt-dlp-config');
-const configPath = path.join(configDir, 'config');
-
-// Binary paths
-const ytdlpPath = path.join(BIN_DIR, process.platform === 'win32' ? 'yt-dlp.exe' : 'yt-dlp');
-const ytdlPath = path.join(BIN_DIR, process.platform === 'win32' ? 'youtube-dl.exe' : 'youtube-dl');
-
-// Create required directories
-for (const dir of [BIN_DIR, tmpDir, configDir]) {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-    console.log(`Created directory: ${dir}`);
-  }
+// Track audio is limited by plays instead of requests, so seeking and cache hits
+// don't use up the budget for new extractions
+const playLimiter = createPlayLimiter({
+  windowMs: config.rateLimitWindowSeconds * 1000,
+  maxCached: config.rateLimitCachedPlaysMax,
+  resolvePlay: audioPlay,
+  onLimited: countRateLimited
+});
+
+// New extractions per client, whichever route starts them (see chargeExtraction)
+const extractionWindow = createExtractionWindow({
+  windowMs: config.rateLimitWindowSeconds * 1000,
+  max: config.rateLimitExtractionsMax
+});
+
+// Daily extraction quotas of API key clients
+const dailyQuotas = new DailyQuotas();
+
+app.use(cors({
+  origin: corsOrigin(allowedOrigins([config.frontendUrl, ...config.corsOrigins])),
+  // Lets the player read which variant of a track it was given
+  exposedHeaders: [
+    'Accept-Ranges', 'Content-Range', 'ETag',
+    'X-Audio-Format', 'X-Audio-Quality', 'X-Audio-Bitrate',
+    'X-Loudness-Integrated', 'X-Loudness-True-Peak', 'X-Loudness-Target',
+    'X-Extractor', 'X-Request-Id',
+    // Lets it tell users when to try again and how much quota is left
+    'Retry-After', 'X-Quota-Limit', 'X-Quota-Remaining'
+  ]
+}));
+
+if (!fs.existsSync(config.tmpDir)) {
+  fs.mkdirSync(config.tmpDir, { recursive: true });
+  logger.info('Created directory', { dir: config.tmpDir });
 }
+setupYtDlp({ tmpDir: config.tmpDir, ytdlpConfig: config.ytdlpConfig, cookiesBase64: config.youtubeCookiesBase64 });
 
-// Create a yt-dlp config file with additional options
-const configContent = `
---geo-bypass
---no-check-certificate
---extractor-args "youtube:player_client=android,web"
---user-agent "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/116.0.0.0 Safari/537.36"
---add-header "Accept-Language:en-US,en;q=0.9"
---ignore-errors
---no-warnings
---no-progress
-`;
-
-fs.writeFileSync(configPath, configContent);
-console.log(`Created config file at: ${configPath}`);
-
-// Load YouTube cookies from environment variable if available
-if (process.env.YOUTUBE_COOKIES_BASE64) {
-  try {
-    const cookiesContent = Buffer.from(process.env.YOUTUBE_COOKIES_BASE64, 'base64').toString();
-    fs.writeFileSync(cookiesPath, cookiesContent);
-    console.log('YouTube cookies file created from environment variable');
-  } catch (error) {
-    console.error('Failed to create cookies file from environment variable:', error);
+// Extracted audio is kept on disk and evicted least-recently-used first
+const audioCache = new DiskCache({
+  dir: config.audioCacheDir,
+  maxBytes: config.audioCacheMaxMb * 1024 * 1024,
+  maxAgeMs: config.audioCacheMaxAgeHours * 60 * 60 * 1000
+});
+
+// Limits how many yt-dlp/ffmpeg pipelines run at once; the rest wait in FIFO order
+const extractionQueue = new JobQueue({
+  concurrency: config.maxConcurrentExtractions,
+  timeoutMs: config.extractionTimeoutSeconds * 1000,
+  maxQueued: config.maxQueuedExtractions
+});
+
+// Ways to get a track out of YouTube (see extractors.js), tried in order
+// (EXTRACTOR_ORDER changes it)
+const extractors = new ExtractorRegistry({
+  order: config.extractorOrder,
+  timeouts: Object.fromEntries(Object.entries(config.extractorTimeouts).map(([name, seconds]) => [name, seconds * 1000])),
+  failureThreshold: config.extractorFailureThreshold,
+  cooldownMs: config.extractorCooldownSeconds * 1000
+});
+registerExtractors(extractors, { tmpDir: config.tmpDir });
+
+for (const name of extractors.unknownInOrder()) {
+  logger.warn('EXTRACTOR_ORDER names an unknown strategy', { strategy: name });
+}
+
+const catalog = new YouTubeCatalog({
+  infoTtl: config.infoCacheTtlSeconds,
+  searchTtl: config.searchCacheTtlSeconds,
+  playlistTtl: config.playlistCacheTtlSeconds
+});
+
+const library = new AudioLibrary({
+  cache: audioCache,
+  queue: extractionQueue,
+  extractors,
+  catalog,
+  sponsorBlockApiUrl: config.sponsorBlockApiUrl,
+  hlsSegmentSeconds: config.hlsSegmentSeconds,
+  onAttempt: attempt => {
+    if (attempt.outcome !== 'circuit-open') {
+      extractionDuration.observe({ strategy: attempt.strategy, outcome: attempt.outcome }, attempt.durationMs / 1000);
+    }
+  }
+});
+
+// Asynchronous extraction jobs created through POST /jobs, kept for an hour after finishing
+const jobStore = new JobStore({ ttlMs: 60 * 60 * 1000 });
+
+const cacheHits = metrics.counter('cache_hits_total', 'Audio cache lookups that found a file');
+const cacheMisses = metrics.counter('cache_misses_total', 'Audio cache lookups that found nothing');
+const cacheEvictions = metrics.counter('cache_evictions_total', 'Files evicted from the audio cache');
+const cacheBytes = metrics.gauge('cache_size_bytes', 'Size of all files in the audio cache');
+const cacheFiles = metrics.gauge('cache_files', 'Number of files in the audio cache');
+const queueDepth = metrics.gauge('extraction_queue_depth', 'Extraction jobs by state', ['state']);
+const liveExtractionCount = metrics.gauge('live_extractions', 'Track extractions in progress');
+const circuitOpen = metrics.gauge('extractor_circuit_open', 'Whether an extractor strategy is being skipped after repeated failures', ['strategy']);
+const memory = metrics.gauge('process_memory_bytes', 'Process memory usage by type (rss, heapTotal, heapUsed, external, arrayBuffers)', ['type']);
+const uptime = metrics.gauge('process_uptime_seconds', 'Seconds since the process started');
+
+metrics.collect(() => {
+  const cache = audioCache.stats();
+  cacheHits.set({}, cache.hits);
+  cacheMisses.set({}, cache.misses);
+  cacheEvictions.set({}, cache.evictions);
+  cacheBytes.set({}, audioCache.totalBytes);
+  cacheFiles.set({}, cache.files);
+
+  const queue = extractionQueue.stats();
+  queueDepth.set({ state: 'active' }, queue.active);
+  queueDepth.set({ state: 'queued' }, queue.queued);
+  liveExtractionCount.set({}, library.liveExtractions.size);
+
+  for (const { name, circuit } of extractors.stats().strategies) {
+    circuitOpen.set({ strategy: name }, circuit === 'open' ? 1 : 0);
   }
+
+  for (const [type, bytes] of Object.entries(process.memoryUsage())) {
+    memory.set({ type }, bytes);
+  }
+  uptime.set({}, process.uptime());
+});
+
+// Query parameters that select a variant of the audio rather than how it is delivered
+const PLAY_VARIANT_PARAMS = ['start', 'end', 'fadeIn', 'fadeOut', 'normalize', 'trim'];
+
+/**
+ * What a request for track audio plays, for the play limiter: the path and variant,
+ * and whether it can be served without a new extraction. Derived audio (chapters,
+ * clips, normalized tracks) counts as cached when its source track is; every
+ * variant of it is a play of its own, as each one is cut or processed separately.
+ */
+function audioPlay(req) {
+  const { videoId } = req.params;
+  const { format, error: formatError } = resolveFormat(req);
+  if (formatError) return null;
+  const { quality, error: qualityError } = resolveQuality(req.query.quality, format);
+  if (qualityError) return null;
+  const { trim, error: trimError } = resolveTrim(req.query.trim);
+  if (trimError) return null;
+
+  const variant = PLAY_VARIANT_PARAMS
+    .filter(name => req.query[name] !== undefined)
+    .map(name => `${name}=${req.query[name]}`)
+    .join('&');
+  return {
+    key: `${req.baseUrl}${req.path}|${format}|${quality}|${variant}`,
+    cached: !library.needsExtraction(videoId, format, quality, { trim, loudnessTarget: null })
+  };
 }
 
 /**
- * Downloads the yt-dlp binary with proper error handling
+ * Why the client cannot start `count` new extractions right now, or null if both
+ * its extraction window and its daily quota have room. A count larger than a
+ * limit itself never fits, so that refusal has no retryAfter.
  */
-async function downloadYtDlp() {
-  console.log('Starting yt-dlp download...');
-  
-  try {
-    // Create bin directory if it doesn't exist
-    if (!fs.existsSync(BIN_DIR)) {
-      fs.mkdirSync(BIN_DIR, { recursive: true });
-      console.log(`Created bin directory at ${BIN_DIR}`);
-    }
-    
-    // Remove existing binary if it exists (to ensure a clean download)
-    if (fs.existsSync(ytdlpPath)) {
-      fs.unlinkSync(ytdlpPath);
-      console.log(`Removed existing binary at ${ytdlpPath}`);
-    }
-    
-    // Try multiple download approaches
-    
-    // Approach 1: Use curl (most reliable)
-    try {
-      console.log('Downloading yt-dlp using curl...');
-      const url = process.platform === 'win32' 
-        ? 'https://github.com/yt-dlp/yt-dlp/releases/latest/download/yt-dlp.exe'
-        : 'https://github.com/yt-dlp/yt-dlp/releases/latest/download/yt-dlp';
-      
-      await execPromise(`curl -L "${url}" -o "${ytdlpPath}"`);
-      fs.chmodSync(ytdlpPath, 0o755);
-      console.log(`Successfully downloaded yt-dlp using curl to ${ytdlpPath}`);
-      return true;
-    } catch (err) {
-      console.warn('curl download failed:', err.message);
-    }
-    
-    // Approach 2: Use HTTPS module
-    try {
-      console.log('Downloading yt-dlp using https module...');
-      const url = process.platform === 'win32' 
-        ? 'https://github.com/yt-dlp/yt-dlp/releases/latest/download/yt-dlp.exe'
-        : 'https://github.com/yt-dlp/yt-dlp/releases/latest/download/yt-dlp';
-      
-      await new Promise((resolve, reject) => {
-        const file = fs.createWriteStream(ytdlpPath);
-        https.get(url, response => {
-          response.pipe(file);
-          file.on('finish', () => {
-            file.close();
-            fs.chmodSync(ytdlpPath, 0o755);
-            console.log(`Downloaded yt-dlp using https to ${ytdlpPath}`);
-            resolve();
-          });
-        }).on('error', err => {
-          if (fs.existsSync(ytdlpPath)) fs.unlinkSync(ytdlpPath);
-          reject(err);
-        });
-      });
-      return true;
-    } catch (err) {
-      console.warn('https download failed:', err.message);
-    }
-    
-    // Approach 3: Try using wget
-    try {
-      console.log('Downloading yt-dlp using wget...');
-      const url = process.platform === 'win32' 
-        ? 'https://github.com/yt-dlp/yt-dlp/releases/latest/download/yt-dlp.exe'
-        : 'https://github.com/yt-dlp/yt-dlp/releases/latest/download/yt-dlp';
-      
-      await execPromise(`wget "${url}" -O "${ytdlpPath}"`);
-      fs.chmodSync(ytdlpPath, 0o755);
-      console.log(`Successfully downloaded yt-dlp using wget to ${ytdlpPath}`);
-      return true;
-    } catch (err) {
-      console.warn('wget download failed:', err.message);
-    }
-    
-    console.error('All download approaches failed!');
-    return false;
-  } catch (error) {
-    console.error('Failed to download yt-dlp:', error);
-    return false;
+function extractionRefusal(client, count = 1) {
+  const window = extractionWindow.check(client, count);
+  if (count > window.limit) {
+    return { limit: 'extractions', code: 'over_limit', retryAfter: null, message: `At most ${window.limit} new tracks can be requested every ${config.rateLimitWindowSeconds / 60} minutes` };
   }
+  if (!window.ok) {
+    return { limit: 'extractions', code: 'rate_limited', retryAfter: window.retryAfter, message: 'Too many new tracks requested, please try again later or play tracks that are already loaded' };
+  }
+
+  const quota = dailyQuotas.check(client, count);
+  if (quota.limit !== null && count > quota.limit) {
+    return { limit: 'daily-quota', code: 'over_limit', retryAfter: null, message: `At most ${quota.limit} new tracks can be requested per day` };
+  }
+  if (!quota.ok) {
+    return { limit: 'daily-quota', code: 'quota_exceeded', retryAfter: quota.retryAfter, message: `Daily quota of ${quota.limit} new tracks used up (${quota.remaining} left), it resets at midnight UTC` };
+  }
+  return null;
 }
 
 /**
- * Verifies that the yt-dlp binary exists and is executable
+ * Charges `count` new extractions to the client's extraction window and daily
+ * quota if both have room. Returns the refusal (see extractionRefusal), or null
+ * once charged.
  */
-async function verifyYtDlpBinary() {
-  console.log('Verifying yt-dlp binary...');
-  
-  try {
-    // Check if binary exists
-    if (!fs.existsSync(ytdlpPath)) {
-      console.log(`Binary not found at ${ytdlpPath}, will download`);
-      return false;
-    }
-    
-    // Make it executable
-    fs.chmodSync(ytdlpPath, 0o755);
-    
-    // Test if it works
-    const { stdout } = await execPromise(`"${ytdlpPath}" --version`);
-    console.log(`yt-dlp binary verified, version: ${stdout.trim()}`);
-    return true;
-  } catch (error) {
-    console.error('yt-dlp binary verification failed:', error.message);
-    return false;
+function reserveExtraction(client, count = 1) {
+  const refusal = extractionRefusal(client, count);
+  if (!refusal) {
+    extractionWindow.consume(client, count);
+    dailyQuotas.consume(client, count);
   }
+  return refusal;
 }
 
 /**
- * Ensures the yt-dlp binary is available and working
+ * Answers a refused extraction: 429 with Retry-After while the client only has
+ * to wait, 403 when the request can never fit in the limit
  */
-async function ensureYtDlpBinary() {
-  let verified = await verifyYtDlpBinary();
-  
-  if (!verified) {
-    console.log('Binary verification failed, downloading fresh copy...');
-    await downloadYtDlp();
-    verified = await verifyYtDlpBinary();
+function sendExtractionRefusal(req, res, { limit, code, retryAfter, message }) {
+  countRateLimited(req, limit);
+  if (retryAfter === null) {
+    return res.status(403).json({ error: message, code });
   }
-  
-  if (!verified) {
-    console.error('Failed to ensure a working yt-dlp binary after multiple attempts');
-    return false;
-  }
-  
-  console.log('yt-dlp binary is ready to use');
-  return true;
+  sendLimitError(res, { message, code, retryAfter });
 }
 
 /**
- * Extract audio from a YouTube video with multiple fallback strategies
+ * Charges `count` new extractions to the client's extraction window and daily
+ * quota. Nothing is charged unless both have room; otherwise it answers 429 (or
+ * 403) and returns false. Every route that starts extractions goes through here.
  */
-async function extractAudio(videoId) {
-  console.log(`Starting audio extraction for video ID: ${videoId}`);
-  const url = `https://www.youtube.com/watch?v=${videoId}`;
-  const outputPath = path.join(tmpDir, `${videoId}.mp3`);
-  
-  // Clean up any existing output file
-  if (fs.existsSync(outputPath)) {
-    try {
-      fs.unlinkSync(outputPath);
-      console.log(`Removed existing output file: ${outputPath}`);
-    } catch (err) {
-      console.warn(`Failed to remove existing output file: ${err.message}`);
-    }
-  }
-  
-  // Make sure binary is ready
-  if (!fs.existsSync(ytdlpPath)) {
-    console.log('Binary not found, downloading...');
-    await downloadYtDlp();
-  }
-  
-  // Ensure the binary is executable
-  try {
-    fs.chmodSync(ytdlpPath, 0o755);
-  } catch (err) {
-    console.warn(`Failed to set executable permissions: ${err.message}`);
-  }
-  
-  // Define common options for all strategies
-  const commonOptions = {
-    '--output': outputPath,
-    '--extract-audio': true,
-    '--audio-format': 'mp3',
-    '--audio-quality': '0',
-    '--geo-bypass': true,
-    '--no-check-certificate': true
-  };
-  
-  // If cookies file exists, add it to options
-  if (fs.existsSync(cookiesPath)) {
-    commonOptions['--cookies'] = cookiesPath;
-  }
-  
-  // Strategy 1: Direct shell command execution (most reliable)
-  try {
-    console.log(`Strategy 1: Direct shell command for ${url}`);
-    
-    // Build command with all options
-    let command = `"${ytdlpPath}" "${url}"`;
-    for (const [key, value] of Object.entries(commonOptions)) {
-      if (value === true) {
-        command += ` ${key}`;
-      } else {  
-        command += ` ${key} "${value}"`;
-      }
-    }
-    
-    console.log(`Executing command: ${command}`);
-    
-    const { stdout, stderr } = await execPromise(command, { maxBuffer: 10 * 1024 * 1024 });
-    
-    if (stderr) console.log(`Command stderr: ${stderr}`);
-    if (stdout) console.log(`Command stdout: ${stdout.substring(0, 200)}...`);
-    
-    if (fs.existsSync(outputPath)) {
-      console.log(`Strategy 1 succeeded. File size: ${fs.statSync(outputPath).size} bytes`);
-      const buffer = fs.readFileSync(outputPath);
-      fs.unlinkSync(outputPath);
-      return buffer;
-    } else {
-      console.warn('Strategy 1: Output file not found');
-    }
-  } catch (err) {
-    console.warn(`Strategy 1 failed: ${err.message}`);
-  }
-  
-  // Strategy 2: Simplified command with basic options
-  try {
-    console.log(`Strategy 2: Simplified command for ${url}`);
-    
-    const command = `"${ytdlpPath}" "${url}" -x --audio-format mp3 -o "${outputPath}" --geo-bypass`;
-    console.log(`Executing command: ${command}`);
-    
-    const { stdout, stderr } = await execPromise(command);
-    
-    if (stderr) console.log(`Strategy 2 stderr: ${stderr}`);
-    if (stdout) console.log(`Strategy 2 stdout: ${stdout.substring(0, 200)}...`);
-    
-    if (fs.existsSync(outputPath)) {
-      console.log(`Strategy 2 succeeded. File size: ${fs.statSync(outputPath).size} bytes`);
-      const buffer = fs.readFileSync(outputPath);
-      fs.unlinkSync(outputPath);
-      return buffer;
-    } else {
-      console.warn('Strategy 2: Output file not found');
-    }
-  } catch (err) {
-    console.warn(`Strategy 2 failed: ${err.message}`);
-  }
-  
-  // Strategy 3: Try using format selection
-  try {
-    console.log(`Strategy 3: Format selection for ${url}`);
-    
-    const command = `"${ytdlpPath}" "${url}" -f bestaudio -x --audio-format mp3 -o "${outputPath}"`;
-    console.log(`Executing command: ${command}`);
-    
-    const { stdout, stderr } = await execPromise(command);
-    
-    if (stderr) console.log(`Strategy 3 stderr: ${stderr}`);
-    if (stdout) console.log(`Strategy 3 stdout: ${stdout.substring(0, 200)}...`);
-    
-    if (fs.existsSync(outputPath)) {
-      console.log(`Strategy 3 succeeded. File size: ${fs.statSync(outputPath).size} bytes`);
-      const buffer = fs.readFileSync(outputPath);
-      fs.unlinkSync(outputPath);
-      return buffer;
-    } else {
-      console.warn('Strategy 3: Output file not found');
-    }
-  } catch (err) {
-    console.warn(`Strategy 3 failed: ${err.message}`);
-  }
-  
-  // Strategy 4: Use ffmpeg directly if possible
-  try {
-    console.log(`Strategy 4: FFmpeg approach for ${url}`);
-    
-    // First get the best audio URL
-    const getUrlCommand = `"${ytdlpPath}" "${url}" -f bestaudio --get-url`;
-    console.log(`Getting audio URL: ${getUrlCommand}`);
-    
-    const { stdout: audioUrl } = await execPromise(getUrlCommand);
-    const directUrl = audioUrl.trim();
-    
-    if (!directUrl) {
-      throw new Error('Failed to get direct audio URL');
-    }
-    
-    console.log(`Got direct audio URL: ${directUrl.substring(0, 30)}...`);
-    
-    // Download with curl or wget
-    const tempFile = path.join(tmpDir, `${videoId}_temp`);
-    try {
-      await execPromise(`curl -L "${directUrl}" -o "${tempFile}"`);
-    } catch (err) {
-      await execPromise(`wget "${directUrl}" -O "${tempFile}"`);
-    }
-    
-    // Convert with ffmpeg
-    await execPromise(`ffmpeg -i "${tempFile}" -vn -ar 44100 -ac 2 -b:a 192k "${outputPath}"`);
-    
-    // Clean up temp file
-    if (fs.existsSync(tempFile)) {
-      fs.unlinkSync(tempFile);
-    }
-    
-    if (fs.existsSync(outputPath)) {
-      console.log(`Strategy 4 succeeded. File size: ${fs.statSync(outputPath).size} bytes`);
-      const buffer = fs.readFileSync(outputPath);
-      fs.unlinkSync(outputPath);
-      return buffer;
-    } else {
-      console.warn('Strategy 4: Output file not found');
-    }
-  } catch (err) {
-    console.warn(`Strategy 4 failed: ${err.message}`);
+function chargeExtraction(req, res, count = 1) {
+  const refusal = reserveExtraction(req.apiClient, count);
+  const { limit, remaining } = dailyQuotas.check(req.apiClient, 0);
+  if (limit !== null) {
+    res.set({ 'X-Quota-Limit': String(limit), 'X-Quota-Remaining': String(remaining) });
   }
-  
-  // If we get here, all strategies failed
-  throw new Error('All extraction strategies failed. Could not download audio from YouTube.');
+  if (!refusal) return true;
+
+  sendExtractionRefusal(req, res, refusal);
+  return false;
+}
+
+/**
+ * Like chargeExtraction, but only tells whether the client could start `count`
+ * new extractions, without charging them
+ */
+function checkExtraction(req, res, count = 1) {
+  const refusal = extractionRefusal(req.apiClient, count);
+  if (!refusal) return true;
+
+  sendExtractionRefusal(req, res, refusal);
+  return false;
 }
 
 /**
  * Start the server and define routes
  */
 async function startServer() {
+  // Fails startup on a malformed token config instead of running without it
+  const adminTokens = loadAdminTokens({ tokens: config.adminTokens, tokensFile: config.adminTokensFile });
+  if (adminTokens.length === 0) {
+    logger.warn('Admin API disabled: set ADMIN_TOKENS or ADMIN_TOKENS_FILE to enable /admin');
+  }
+  const apiKeys = loadApiKeys({
+    keys: config.apiKeys,
+    keysFile: config.apiKeysFile,
+    defaultDailyQuota: config.apiKeyDailyQuota
+  });
+
+  // Limits and quotas are counted per API key, or per IP for requests without one
+  app.use(identifyClient(apiKeys));
+  app.use('/info', apiLimiter);
+  app.use('/check', apiLimiter);
+  app.use('/search', apiLimiter);
+  app.use('/playlist', apiLimiter);
+  app.use('/download', apiLimiter);
+
+  // Index audio files cached by a previous run
+  await audioCache.init();
+
+  // Files nobody played for AUDIO_CACHE_MAX_AGE_HOURS are removed once an hour
+  if (config.audioCacheMaxAgeHours > 0) {
+    await audioCache.expire();
+    setInterval(() => {
+      audioCache.expire().catch(error => logger.error('Failed to expire cached files', { error }));
+    }, 60 * 60 * 1000).unref();
+  }
+
   // Ensure yt-dlp binary is available
   const binaryReady = await ensureYtDlpBinary();
   if (!binaryReady) {
-    console.warn('Warning: yt-dlp binary is not available. Audio extraction may fail.');
+    logger.warn('yt-dlp binary is not available. Audio extraction may fail.');
   }
-  
-  // Audio endpoint to stream audio files
-  app.get('/audio/:videoId', async (req, res) => {
-    const { videoId } = req.params;
-    const cacheKey = `audio-${videoId}`;
-    
-    try {
-      let buffer = audioCache.get(cacheKey);
-
-      if (!buffer) {
-        console.log(`Fetching audio for video ID: ${videoId}`);
-        try {
-          // Extract audio
-          buffer = await extractAudio(videoId);
-          
-          // Verify the buffer is valid MP3 data
-          if (!buffer || buffer.length < 1000) {
-            throw new Error('Extracted audio file is too small or empty');
-          }
-          
-          // Cache the result
-          audioCache.set(cacheKey, buffer);
-        } catch (error) {
-          console.error('Audio extraction failed:', error.message);
-          return res.status(500).send('Failed to extract audio: ' + error.message);
-        }
-      }
-
-      const total = buffer.length;
-      const range = req.headers.range;
-
-      if (range) {
-        const [startStr, endStr] = range.replace(/bytes=/, '').split('-');
-        const start = parseInt(startStr, 10);
-        const end = endStr ? parseInt(endStr, 10) : total - 1;
-        const chunkSize = end - start + 1;
-
-        res.writeHead(206, {
-          'Content-Range': `bytes ${start}-${end}/${total}`,
-          'Accept-Ranges': 'bytes',
-          'Content-Length': chunkSize,
-          'Content-Type': 'audio/mpeg',
-        });
-
-        res.end(buffer.slice(start, end + 1));
-      } else {
-        res.writeHead(200, {
-          'Content-Length': total,
-          'Content-Type': 'audio/mpeg',
-        });
-
-        res.end(buffer);
-      }
-    } catch (err) {
-      console.error('Audio fetch error:', err);
-      res.status(500).send('Failed to load audio: ' + err.message);
-    }
-  });
 
-  // Status endpoint to check if YouTube cookies are working
-  app.get('/status', async (req, res) => {
-    try {
-      // Try to get version info
-      const { stdout } = await execPromise(`"${ytdlpPath}" --version`);
-      
-      res.json({ 
-        status: 'ok', 
-        binary: {
-          path: ytdlpPath,
-          exists: fs.existsSync(ytdlpPath),
-          version: stdout.trim()
-        },
-        environment: {
-          platform: process.platform,
-          nodejs: process.version
-        }
-      });
-    } catch (err) {
-      res.status(500).json({ 
-        status: 'error',
-        message: 'Failed to execute yt-dlp',
-        error: err.message,
-        binaryPath: ytdlpPath,
-        binaryExists: fs.existsSync(ytdlpPath)
-      });
-    }
-  });
+  const deps = { config, library, cache: audioCache, catalog, queue: extractionQueue, extractors, jobStore, metrics };
+  const limits = { apiLimiter, playLimiter, chargeExtraction, checkExtraction, reserveExtraction };
 
-  // Debug endpoint to get detailed information about the binary
-  app.get('/debug', async (req, res) => {
-    try {
-      // List bin directory contents
-      const binFiles = fs.existsSync(BIN_DIR) ? fs.readdirSync(BIN_DIR) : [];
-      
-      // Get binary info
-      let versionInfo = "Unknown";
-      let binaryWorks = false;
-      try {
-        const { stdout } = await execPromise(`"${ytdlpPath}" --version`);
-        versionInfo = stdout.trim();
-        binaryWorks = true;
-      } catch (e) {
-        versionInfo = `Error: ${e.message}`;
-      }
-      
-      // Get environment info
-      const envInfo = {
-        NODE_ENV: process.env.NODE_ENV,
-        PATH: process.env.PATH ? process.env.PATH.split(':') : [],
-        PLATFORM: process.platform,
-        ARCH: process.arch,
-        NODE_VERSION: process.version
-      };
-      
-      // Test download
-      let downloadTest = "Not tested";
-      try {
-        const testUrl = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'; // Common test video
-        const command = `"${ytdlpPath}" "${testUrl}" --get-title`;
-        const { stdout } = await execPromise(command);
-        downloadTest = `Success: "${stdout.trim()}"`;
-      } catch (e) {
-        downloadTest = `Failed: ${e.message}`;
-      }
-      
-      // Get binary permissions
-      let permissions = "Unknown";
-      try {
-        const stats = fs.statSync(ytdlpPath);
-        permissions = `0${(stats.mode & parseInt('777', 8)).toString(8)}`;
-      } catch (e) {
-        permissions = `Error: ${e.message}`;
-      }
-      
-      res.json({
-        binDir: {
-          path: BIN_DIR,
-          exists: fs.existsSync(BIN_DIR),
-          files: binFiles
-        },
-        ytdlpBinary: {
-          path: ytdlpPath,
-          exists: fs.existsSync(ytdlpPath),
-          permissions: permissions,
-          version: versionInfo,
-          works: binaryWorks,
-          downloadTest: downloadTest
-        },
-        environment: envInfo,
-        storage: {
-          tmpDir: {
-            path: tmpDir,
-            exists: fs.existsSync(tmpDir)
-          },
-          configDir: {
-            path: configDir,
-            exists: fs.existsSync(configDir)
-          },
-          cookiesFile: {
-            path: cookiesPath,
-            exists: fs.existsSync(cookiesPath)
-          }
-        }
-      });
-    } catch (err) {
-      res.status(500).json({
-        status: 'error',
-        message: 'Error getting debug info',
-        error: err.message
-      });
-    }
-  });
-  
-  // Test command execution endpoint
-  app.get('/test-command', async (req, res) => {
-    try {
-      // Try to run a simple command
-      const commands = [
-        {name: 'ls', cmd: 'ls -la /opt/render/project/src/'},
-        {name: 'echo', cmd: 'echo "Hello World"'},
-        {name: 'pwd', cmd: 'pwd'},
-        {name: 'yt-dlp', cmd: `"${ytdlpPath}" --version`}
-      ];
-      
-      const results = {};
-      
-      for (const cmd of commands) {
-        try {
-          const { stdout, stderr } = await execPromise(cmd.cmd);
-          results[cmd.name] = {
-            success: true,
-            stdout: stdout.trim(),
-            stderr: stderr ? stderr.trim() : ''
-          };
-        } catch (e) {
-          results[cmd.name] = {
-            success: false,
-            error: e.message
-          };
-        }
-      }
-      
-      res.json({
-        environment: {
-          uid: process.getuid?.() || 'unknown',
-          gid: process.getgid?.() || 'unknown',
-          cwd: process.cwd()
-        },
-        results
-      });
-    } catch (err) {
-      res.status(500).json({
-        status: 'error',
-        message: 'Command execution failed',
-        error: err.message
-      });
-    }
-  });
-  
-  // Simple health check endpoint
-  app.get('/health', (_, res) => {
-    res.status(200).send('OK');
-  });
-  
-  // Initiate download - admin endpoint
-  app.get('/admin/download-yt-dlp', async (req, res) => {
-    try {
-      const result = await downloadYtDlp();
-      res.json({
-        success: result,
-        message: result ? 'yt-dlp binary downloaded successfully' : 'Download failed',
-        path: ytdlpPath,
-        exists: fs.existsSync(ytdlpPath)
-      });
-    } catch (err) {
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to download binary',
-        error: err.message
-      });
-    }
-  });
+  app.use(audioRoutes({ ...deps, ...limits, defaultLoudnessTarget: config.loudnormTargetLufs }));
+  app.use(catalogRoutes(deps));
+  app.use(hlsRoutes({ ...deps, ...limits }));
+  app.use(jobRoutes({ ...deps, ...limits }));
+  app.use(downloadRoutes({ ...deps, ...limits, maxBatchSize: config.maxBatchSize }));
+  app.use(statusRoutes(deps));
+  app.use('/admin', adminRoutes({ ...deps, adminTokens }));
 
   // Start the server
-  app.listen(PORT, () => {
-    console.log(`🎧 Audio server running on port ${PORT}`);
+  app.listen(config.port, () => {
+    logger.info('Audio server running', { port: config.port });
   });
 }
 
@@ -649,7 +382,7 @@ async function startServer() {
   try {
     await startServer();
   } catch (error) {
-    console.error('Failed to start server:', error);
+    logger.error('Failed to start server', { error });
     process.exit(1);
   }
-})();
\ No newline at end of file
+})();
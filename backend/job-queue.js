@@ -0,0 +1,90 @@
+import { AsyncResource } from 'async_hooks';
+import logger from './logger.js';
+
+/**
+ * FIFO queue that runs at most `concurrency` async jobs at a time.
+ *
+ * Each job receives an AbortSignal that fires when the job exceeds `timeoutMs`,
+ * so jobs that spawn child processes can pass it straight to `spawn`/`exec`.
+ */
+export default class JobQueue {
+  constructor({ concurrency, timeoutMs, maxQueued = Infinity }) {
+    this.concurrency = concurrency;
+    this.timeoutMs = timeoutMs;
+    this.maxQueued = maxQueued;
+    this.waiting = [];
+    this.active = 0;
+    this.completed = 0;
+    this.failed = 0;
+    this.timedOut = 0;
+    this.rejected = 0;
+  }
+
+  /**
+   * Queues a job and resolves or rejects with its result. The job runs in the
+   * async context of the caller (e.g. its request ID), not of whichever job
+   * finished before it. Jobs are only refused when every slot is busy and
+   * `maxQueued` jobs are already waiting.
+   */
+  run(name, job) {
+    if (this.active >= this.concurrency && this.waiting.length >= this.maxQueued) {
+      this.rejected++;
+      const error = new Error(`Extraction queue is full (${this.waiting.length} jobs waiting)`);
+      error.code = 'QUEUE_FULL';
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ name, job: AsyncResource.bind(job), resolve, reject, queuedAt: Date.now() });
+      this.next();
+    });
+  }
+
+  next() {
+    while (this.active < this.concurrency && this.waiting.length > 0) {
+      this.start(this.waiting.shift());
+    }
+  }
+
+  async start({ name, job, resolve, reject, queuedAt }) {
+    this.active++;
+    const waitedMs = Date.now() - queuedAt;
+    if (waitedMs > 1000) {
+      logger.info('Job started after waiting in queue', { job: name, waitedMs });
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      this.timedOut++;
+      controller.abort(new Error(`Job ${name} timed out after ${this.timeoutMs / 1000}s`));
+    }, this.timeoutMs);
+
+    try {
+      const result = await job(controller.signal);
+      if (controller.signal.aborted) throw controller.signal.reason;
+      this.completed++;
+      resolve(result);
+    } catch (err) {
+      this.failed++;
+      reject(controller.signal.aborted ? controller.signal.reason : err);
+    } finally {
+      clearTimeout(timer);
+      this.active--;
+      this.next();
+    }
+  }
+
+  stats() {
+    return {
+      active: this.active,
+      queued: this.waiting.length,
+      concurrency: this.concurrency,
+      maxQueued: this.maxQueued,
+      timeoutSeconds: this.timeoutMs / 1000,
+      completed: this.completed,
+      failed: this.failed,
+      timedOut: this.timedOut,
+      rejected: this.rejected
+    };
+  }
+}
@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+const FINAL_STATES = ['done', 'failed'];
+
+/**
+ * In-memory registry of asynchronous extraction jobs.
+ *
+ * Emits `update` with the job every time a job changes, which the SSE route
+ * relays to clients. Finished jobs are forgotten after `ttlMs`.
+ */
+export default class JobStore extends EventEmitter {
+  constructor({ ttlMs }) {
+    super();
+    this.ttlMs = ttlMs;
+    this.jobs = new Map();
+    // One listener per open SSE connection
+    this.setMaxListeners(0);
+
+    setInterval(() => this.prune(), Math.min(ttlMs, 60 * 1000)).unref();
+  }
+
+  create(fields) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      ...fields,
+      status: 'queued',
+      progress: { stage: 'queued', percent: 0, eta: null, strategy: null },
+      error: null,
+      result: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.jobs.set(job.id, job);
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  update(job, changes) {
+    if (isFinished(job)) return;
+
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.emit('update', job);
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [id, job] of this.jobs) {
+      if (isFinished(job) && Date.parse(job.updatedAt) < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  stats() {
+    const counts = { queued: 0, running: 0, done: 0, failed: 0 };
+    for (const job of this.jobs.values()) {
+      counts[job.status]++;
+    }
+    return counts;
+  }
+}
+
+export function isFinished(job) {
+  return FINAL_STATES.includes(job.status);
+}
@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Leveled JSON logger. Every line is one JSON object:
+ * `{ time, level, msg, requestId, ...fields }`.
+ *
+ * The request ID comes from the async context the line is logged in, so work
+ * started by a request (including queued extractions and their child processes)
+ * is tagged with it without passing it around. Secrets are redacted from the
+ * message and all string fields: registered values such as the cookies path,
+ * cookie file names and the query of signed googlevideo.com media URLs.
+ *
+ * LOG_LEVEL sets the minimum level (debug, info, warn, error; default info)
+ * until the configuration is loaded, which then calls setLogLevel().
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[redacted]';
+
+const context = new AsyncLocalStorage();
+const secrets = new Set();
+let minLevel = LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] ?? LEVELS.info;
+
+// Signed media URLs are usable by anyone until they expire
+const SIGNED_URL_PATTERN = /(https?:\/\/[^\s"'/]*googlevideo\.com\/[^\s"'?]*)\?[^\s"']*/gi;
+const COOKIE_FILE_PATTERN = /[^\s"'=]*cookies[^\s"'/]*\.txt/gi;
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+export function setLogLevel(level) {
+  minLevel = LEVELS[level] ?? LEVELS.info;
+}
+
+/**
+ * Makes sure a value (e.g. a file path) never appears in the logs
+ */
+export function addRedaction(value) {
+  if (value) secrets.add(String(value));
+}
+
+export function redact(text) {
+  let result = String(text);
+  for (const secret of secrets) {
+    result = result.split(secret).join(REDACTED);
+  }
+  return result
+    .replace(SIGNED_URL_PATTERN, `$1?${REDACTED}`)
+    .replace(COOKIE_FILE_PATTERN, REDACTED);
+}
+
+function redactValue(value) {
+  if (typeof value === 'string') return redact(value);
+  if (value instanceof Error) {
+    const error = { message: redact(value.message) };
+    if (value.code) error.code = value.code;
+    if (minLevel <= LEVELS.debug && value.stack) error.stack = redact(value.stack);
+    return error;
+  }
+  if (Array.isArray(value)) return value.map(redactValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item)]));
+  }
+  return value;
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < minLevel) return;
+
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg: redact(msg),
+    ...context.getStore(),
+    ...redactValue(fields)
+  });
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+/**
+ * A logger that adds `bindings` to every line, e.g. `logger.child({ videoId })`
+ */
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', msg, { ...bindings, ...fields }),
+    info: (msg, fields) => write('info', msg, { ...bindings, ...fields }),
+    warn: (msg, fields) => write('warn', msg, { ...bindings, ...fields }),
+    error: (msg, fields) => write('error', msg, { ...bindings, ...fields }),
+    child: extra => createLogger({ ...bindings, ...extra })
+  };
+}
+
+const logger = createLogger();
+export default logger;
+
+/**
+ * Express middleware giving every request an ID: the client's X-Request-Id if it
+ * looks like one, a new UUID otherwise. It is echoed in the X-Request-Id response
+ * header and tagged onto every log line logged while handling the request.
+ * Each request is logged once it is answered or aborted.
+ */
+export function requestLogger() {
+  return (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const startedAt = Date.now();
+    req.id = requestId;
+    res.setHeader('X-Request-Id', requestId);
+
+    context.run({ requestId }, () => {
+      res.once('close', () => {
+        logger.info('request', {
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          status: res.headersSent ? res.statusCode : null,
+          aborted: !res.writableFinished,
+          durationMs: Date.now() - startedAt
+        });
+      });
+      next();
+    });
+  };
+}
@@ -0,0 +1,155 @@
+import logger from './logger.js';
+
+/**
+ * Counters, gauges and histograms in the Prometheus text exposition format
+ * (version 0.0.4), enough for one process without a client library.
+ *
+ * Metrics are created once with their label names and updated with a label
+ * object, e.g. `requests.inc({ route: '/audio/:videoId', status: 200 })`.
+ * Values that other modules already keep (cache, queue, memory) are read when
+ * scraped through `collect(fn)` callbacks instead of being copied on every change.
+ */
+export default class MetricsRegistry {
+  constructor({ prefix = '' } = {}) {
+    this.prefix = prefix;
+    this.metrics = [];
+    this.collectors = [];
+  }
+
+  counter(name, help, labelNames = []) {
+    return this.register(new Metric('counter', this.prefix + name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames = []) {
+    return this.register(new Metric('gauge', this.prefix + name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this.register(new Histogram(this.prefix + name, help, labelNames, buckets));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Runs fn right before every scrape, to set metrics from current state
+   */
+  collect(fn) {
+    this.collectors.push(fn);
+  }
+
+  contentType() {
+    return 'text/plain; version=0.0.4; charset=utf-8';
+  }
+
+  /**
+   * All metrics in the text exposition format
+   */
+  expose() {
+    for (const fn of this.collectors) {
+      try {
+        fn();
+      } catch (err) {
+        logger.warn('Metrics collector failed', { error: err });
+      }
+    }
+    return this.metrics.map(metric => metric.expose()).join('');
+  }
+}
+
+// Seconds, for request latencies from a cached file to a full extraction
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+class Metric {
+  constructor(type, name, help, labelNames) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // Serialized label set -> value
+    this.values = new Map();
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = labelKey(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  set(labels, value) {
+    this.values.set(labelKey(this.labelNames, labels), value);
+  }
+
+  header() {
+    return `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}\n# TYPE ${this.name} ${this.type}\n`;
+  }
+
+  expose() {
+    let text = this.header();
+    for (const [key, value] of this.values) {
+      text += `${this.name}${key ? `{${key}}` : ''} ${formatValue(value)}\n`;
+    }
+    return text;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const key = labelKey(this.labelNames, labels);
+    let series = this.values.get(key);
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, series);
+    }
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Starts a timer; calling the returned function observes the elapsed seconds
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+    };
+  }
+
+  expose() {
+    let text = this.header();
+    for (const [key, { counts, sum, count }] of this.values) {
+      const prefix = key ? `${key},` : '';
+      this.buckets.forEach((bound, index) => {
+        text += `${this.name}_bucket{${prefix}le="${formatValue(bound)}"} ${counts[index]}\n`;
+      });
+      text += `${this.name}_bucket{${prefix}le="+Inf"} ${count}\n`;
+      text += `${this.name}_sum${key ? `{${key}}` : ''} ${formatValue(sum)}\n`;
+      text += `${this.name}_count${key ? `{${key}}` : ''} ${count}\n`;
+    }
+    return text;
+  }
+}
+
+/**
+ * `a="1",b="2"` in label-name order, with values escaped as the format requires
+ */
+function labelKey(labelNames, labels) {
+  return labelNames
+    .map(name => `${name}="${String(labels[name] ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+    .join(',');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
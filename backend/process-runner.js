@@ -0,0 +1,161 @@
+import { spawn } from 'child_process';
+
+const DEFAULT_MAX_STDOUT_BYTES = 10 * 1024 * 1024;
+const MAX_STDERR_BYTES = 64 * 1024;
+// Time a process gets to exit after SIGTERM before it is killed outright
+const KILL_GRACE_MS = 5 * 1000;
+
+/**
+ * Error for a process that could not be started, exited unsuccessfully, ran out
+ * of time, was aborted or produced too much output. `stderr` holds the tail of
+ * its error output, so callers can report yt-dlp's and ffmpeg's own messages.
+ */
+export class ProcessError extends Error {
+  constructor(message, { command, args, code = null, signal = null, stdout = '', stderr = '', reason, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ProcessError';
+    this.command = command;
+    this.args = args;
+    this.exitCode = code;
+    this.signal = signal;
+    this.stdout = stdout;
+    this.stderr = stderr;
+    // 'exit', 'timeout', 'aborted', 'output-limit' or 'spawn'
+    this.reason = reason;
+  }
+}
+
+/**
+ * Starts a binary with an argument array. Nothing goes through a shell, so
+ * arguments are passed to the program exactly as given.
+ */
+export function spawnProcess(command, args, { stdio = ['ignore', 'pipe', 'pipe'], cwd, env } = {}) {
+  return spawn(command, args, { stdio, cwd, env, shell: false, windowsHide: true });
+}
+
+/**
+ * Runs a binary to completion and resolves to
+ * `{ stdout, stderr, code, durationMs, stderrTruncated }`.
+ *
+ * - timeoutMs: kill the process if it runs longer
+ * - signal: AbortSignal that kills the process
+ * - maxStdoutBytes: kill the process if its output grows beyond this
+ * - onSpawn(child): called once the process started, e.g. to follow its output
+ *
+ * Only the last 64 KB of stderr are kept. Rejects with a ProcessError.
+ */
+export function runProcess(command, args, { timeoutMs, signal, maxStdoutBytes = DEFAULT_MAX_STDOUT_BYTES, onSpawn, cwd, env } = {}) {
+  return new Promise((resolve, reject) => {
+    const description = `${command} ${args.join(' ')}`.slice(0, 300);
+    if (signal?.aborted) {
+      return reject(new ProcessError(`Aborted before start: ${description}`, { command, args, reason: 'aborted', cause: signal.reason }));
+    }
+
+    const startedAt = Date.now();
+    const child = spawnProcess(command, args, { cwd, env });
+    const stdout = [];
+    let stdoutBytes = 0;
+    let stderr = '';
+    let stderrTruncated = false;
+    let failure = null;
+    let settled = false;
+    let killTimer = null;
+
+    const stop = reason => {
+      if (failure) return;
+      failure = reason;
+      child.kill('SIGTERM');
+      killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS);
+      killTimer.unref();
+    };
+
+    const timeout = timeoutMs ? setTimeout(() => stop('timeout'), timeoutMs) : null;
+    const onAbort = () => stop('aborted');
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeout);
+      clearTimeout(killTimer);
+      signal?.removeEventListener('abort', onAbort);
+      error ? reject(error) : resolve(result);
+    };
+
+    child.stdout.on('data', chunk => {
+      stdoutBytes += chunk.length;
+      if (stdoutBytes > maxStdoutBytes) {
+        stop('output-limit');
+        return;
+      }
+      stdout.push(chunk);
+    });
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+      if (stderr.length > MAX_STDERR_BYTES) {
+        stderr = stderr.slice(-MAX_STDERR_BYTES);
+        stderrTruncated = true;
+      }
+    });
+
+    child.on('error', err => {
+      finish(new ProcessError(`Failed to start ${command}: ${err.message}`, { command, args, reason: 'spawn', cause: err }));
+    });
+
+    child.on('close', (code, exitSignal) => {
+      const output = Buffer.concat(stdout).toString();
+      const details = { command, args, code, signal: exitSignal, stdout: output, stderr };
+
+      if (failure === 'timeout') {
+        return finish(new ProcessError(`Timed out after ${timeoutMs / 1000}s: ${description}`, { ...details, reason: 'timeout' }));
+      }
+      if (failure === 'aborted') {
+        return finish(new ProcessError(`Aborted: ${description}`, { ...details, reason: 'aborted', cause: signal.reason }));
+      }
+      if (failure === 'output-limit') {
+        return finish(new ProcessError(`Output exceeded ${maxStdoutBytes} bytes: ${description}`, { ...details, reason: 'output-limit' }));
+      }
+      if (code !== 0) {
+        const lastLine = stderr.trim().split('\n').pop() || `exit code ${code ?? exitSignal}`;
+        return finish(new ProcessError(`${command} failed: ${lastLine}`, { ...details, reason: 'exit' }));
+      }
+
+      finish(null, { stdout: output, stderr, code, durationMs: Date.now() - startedAt, stderrTruncated });
+    });
+
+    onSpawn?.(child);
+  });
+}
+
+/**
+ * Waits for a process started with spawnProcess whose output is consumed
+ * elsewhere (e.g. piped into another process), keeping the tail of stderr
+ * for the error. Kills it when signal aborts.
+ */
+export function waitForExit(child, name, { signal } = {}) {
+  let stderr = '';
+  child.stderr.on('data', data => {
+    stderr = (stderr + data).slice(-2000);
+  });
+
+  const onAbort = () => child.kill('SIGTERM');
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  return new Promise((resolve, reject) => {
+    child.on('error', err => {
+      reject(new ProcessError(`Failed to start ${name}: ${err.message}`, { command: name, reason: 'spawn', cause: err }));
+    });
+    child.on('close', (code, exitSignal) => {
+      signal?.removeEventListener('abort', onAbort);
+      if (signal?.aborted) {
+        reject(new ProcessError(`${name} aborted`, { command: name, code, signal: exitSignal, stderr, reason: 'aborted', cause: signal.reason }));
+      } else if (code === 0) {
+        resolve({ code, stderr });
+      } else {
+        reject(new ProcessError(`${name} exited with code ${code ?? exitSignal}: ${stderr.trim()}`, {
+          command: name, code, signal: exitSignal, stderr, reason: 'exit'
+        }));
+      }
+    });
+  });
+}
@@ -0,0 +1,176 @@
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+
+/**
+ * A file that is still being written, which any number of readers can stream
+ * from while it grows.
+ *
+ * The writer appends chunks with `writeFrom()`. Readers created with
+ * `createReadStream()` start at byte 0, read whatever has been flushed so far
+ * from disk and then wait for more, so a slow client never buffers audio in
+ * memory and a late client still gets the whole file.
+ */
+export default class ProgressiveFile extends EventEmitter {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.bytesWritten = 0;
+    this.finished = false;
+    this.error = null;
+    // Every waiting reader subscribes while it is caught up with the writer
+    this.setMaxListeners(0);
+
+    // Settles once the file has its first bytes (or is complete), so callers can
+    // still send an error status before committing to a streamed response
+    this.ready = new Promise((resolve, reject) => {
+      this.once('progress', resolve);
+      this.once('finish', resolve);
+      this.once('fail', reject);
+    });
+    this.done = new Promise((resolve, reject) => {
+      this.once('finish', resolve);
+      this.once('fail', reject);
+    });
+    // Nobody is required to await these
+    this.ready.catch(() => {});
+    this.done.catch(() => {});
+  }
+
+  /**
+   * Appends everything from a readable stream to the file, notifying readers after each flushed chunk
+   */
+  async writeFrom(readable) {
+    const handle = await fs.promises.open(this.filePath, 'w');
+    try {
+      for await (const chunk of readable) {
+        await handle.write(chunk);
+        this.bytesWritten += chunk.length;
+        this.emit('progress', this.bytesWritten);
+      }
+    } finally {
+      await handle.close();
+    }
+    return this.bytesWritten;
+  }
+
+  /**
+   * Records that the file now lives at another path. Readers that have not
+   * opened it yet use the new path, and readers whose open raced the move retry there.
+   */
+  moveTo(newPath) {
+    this.filePath = newPath;
+    this.emit('move', newPath);
+  }
+
+  /**
+   * Opens the file for reading at its current path, following a move (see moveTo)
+   * that happens while it is being opened
+   */
+  async open() {
+    while (true) {
+      const filePath = this.filePath;
+      try {
+        return await fs.promises.open(filePath, 'r');
+      } catch (err) {
+        if (err.code !== 'ENOENT' || this.error || (this.finished && filePath === this.filePath)) {
+          throw err;
+        }
+        if (filePath === this.filePath) {
+          await new Promise(resolve => {
+            const wake = () => {
+              this.off('move', wake);
+              this.off('finish', wake);
+              this.off('fail', wake);
+              resolve();
+            };
+            this.on('move', wake);
+            this.on('finish', wake);
+            this.on('fail', wake);
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Marks the file as complete. The file may have been moved in the meantime;
+   * readers that have not opened it yet will use the final path.
+   */
+  complete(finalPath, size) {
+    this.filePath = finalPath;
+    this.bytesWritten = size;
+    this.finished = true;
+    this.emit('finish', { path: finalPath, size });
+  }
+
+  fail(error) {
+    this.error = error;
+    this.emit('fail', error);
+  }
+
+  /**
+   * Returns a stream of the file from the start, following it until it is complete
+   */
+  createReadStream() {
+    const file = this;
+    let handle = null;
+    let position = 0;
+
+    const waitForData = () => new Promise(resolve => {
+      const wake = () => {
+        file.off('progress', wake);
+        file.off('finish', wake);
+        file.off('fail', wake);
+        resolve();
+      };
+      file.on('progress', wake);
+      file.on('finish', wake);
+      file.on('fail', wake);
+    });
+
+    return new Readable({
+      async read(size) {
+        try {
+          while (true) {
+            if (file.error) {
+              throw file.error;
+            }
+
+            if (position < file.bytesWritten) {
+              handle ??= await file.open();
+              const length = Math.min(size, file.bytesWritten - position);
+              const { bytesRead, buffer } = await handle.read(Buffer.alloc(length), 0, length, position);
+              if (bytesRead === 0) {
+                // A reader that opened the file before it was replaced by its final
+                // version (e.g. a tagged copy) has reached the end of its own copy
+                if (file.finished) {
+                  this.push(null);
+                  return;
+                }
+                throw new Error(`Unexpected end of file while streaming ${file.filePath}`);
+              }
+              position += bytesRead;
+              this.push(buffer.subarray(0, bytesRead));
+              return;
+            }
+
+            if (file.finished) {
+              this.push(null);
+              return;
+            }
+
+            await waitForData();
+          }
+        } catch (err) {
+          this.destroy(err);
+        }
+      },
+
+      destroy(err, callback) {
+        if (!handle) return callback(err);
+        handle.close().then(() => callback(err), () => callback(err));
+      }
+    });
+  }
+}
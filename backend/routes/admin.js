@@ -0,0 +1,191 @@
+import express from 'express';
+import fs from 'fs';
+import { adminAuth, requireScope } from '../admin-auth.js';
+import { describeConfig } from '../config.js';
+import { runProcess } from '../process-runner.js';
+import { BIN_DIR, ytdlpPath, cookiesPath, configDir, runYtDlp, downloadYtDlp } from '../ytdlp.js';
+import logger from '../logger.js';
+
+/**
+ * Operational routes, only for admin tokens with the matching scope.
+ * Mounted at /admin.
+ */
+export function adminRoutes({ config, adminTokens, cache }) {
+  const admin = express.Router();
+  admin.use(adminAuth(adminTokens));
+
+  // Effective configuration with the source of every value; secrets are redacted
+  admin.get('/config', requireScope('debug'), (req, res) => {
+    res.json(describeConfig(config));
+  });
+
+  // Debug endpoint to get detailed information about the binary
+  admin.get('/debug', requireScope('debug'), async (req, res) => {
+    try {
+      // List bin directory contents
+      const binFiles = fs.existsSync(BIN_DIR) ? fs.readdirSync(BIN_DIR) : [];
+
+      // Get binary info
+      let versionInfo = "Unknown";
+      let binaryWorks = false;
+      try {
+        const { stdout } = await runYtDlp(['--version'], { timeoutMs: 30 * 1000 });
+        versionInfo = stdout.trim();
+        binaryWorks = true;
+      } catch (e) {
+        versionInfo = `Error: ${e.message}`;
+      }
+
+      // Get environment info
+      const envInfo = {
+        NODE_ENV: process.env.NODE_ENV,
+        PATH: process.env.PATH ? process.env.PATH.split(':') : [],
+        PLATFORM: process.platform,
+        ARCH: process.arch,
+        NODE_VERSION: process.version
+      };
+
+      // Test download
+      let downloadTest = "Not tested";
+      try {
+        const testUrl = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'; // Common test video
+        const { stdout } = await runYtDlp([testUrl, '--get-title'], { timeoutMs: 60 * 1000 });
+        downloadTest = `Success: "${stdout.trim()}"`;
+      } catch (e) {
+        downloadTest = `Failed: ${e.message}`;
+      }
+
+      // Get binary permissions
+      let permissions = "Unknown";
+      try {
+        const stats = fs.statSync(ytdlpPath);
+        permissions = `0${(stats.mode & parseInt('777', 8)).toString(8)}`;
+      } catch (e) {
+        permissions = `Error: ${e.message}`;
+      }
+
+      res.json({
+        binDir: {
+          path: BIN_DIR,
+          exists: fs.existsSync(BIN_DIR),
+          files: binFiles
+        },
+        ytdlpBinary: {
+          path: ytdlpPath,
+          exists: fs.existsSync(ytdlpPath),
+          permissions: permissions,
+          version: versionInfo,
+          works: binaryWorks,
+          downloadTest: downloadTest
+        },
+        environment: envInfo,
+        storage: {
+          tmpDir: {
+            path: config.tmpDir,
+            exists: fs.existsSync(config.tmpDir)
+          },
+          configDir: {
+            path: configDir,
+            exists: fs.existsSync(configDir)
+          },
+          cacheDir: {
+            path: config.audioCacheDir,
+            exists: fs.existsSync(config.audioCacheDir)
+          },
+          cookiesFile: {
+            path: cookiesPath,
+            exists: fs.existsSync(cookiesPath)
+          }
+        }
+      });
+    } catch (err) {
+      res.status(500).json({
+        status: 'error',
+        message: 'Error getting debug info',
+        error: err.message
+      });
+    }
+  });
+
+  // Test command execution endpoint
+  admin.get('/test-command', requireScope('exec'), async (req, res) => {
+    try {
+      // Try to run a simple command
+      const commands = [
+        {name: 'ls', command: 'ls', args: ['-la', '/opt/render/project/src/']},
+        {name: 'echo', command: 'echo', args: ['Hello World']},
+        {name: 'pwd', command: 'pwd', args: []},
+        {name: 'yt-dlp', command: ytdlpPath, args: ['--version']}
+      ];
+
+      const results = {};
+
+      for (const cmd of commands) {
+        try {
+          const { stdout, stderr } = await runProcess(cmd.command, cmd.args, { timeoutMs: 30 * 1000 });
+          results[cmd.name] = {
+            success: true,
+            stdout: stdout.trim(),
+            stderr: stderr ? stderr.trim() : ''
+          };
+        } catch (e) {
+          results[cmd.name] = {
+            success: false,
+            error: e.message
+          };
+        }
+      }
+
+      res.json({
+        environment: {
+          uid: process.getuid?.() || 'unknown',
+          gid: process.getgid?.() || 'unknown',
+          cwd: process.cwd()
+        },
+        results
+      });
+    } catch (err) {
+      res.status(500).json({
+        status: 'error',
+        message: 'Command execution failed',
+        error: err.message
+      });
+    }
+  });
+
+  // Initiate download - admin endpoint
+  admin.get('/download-yt-dlp', requireScope('binary'), async (req, res) => {
+    try {
+      const result = await downloadYtDlp();
+      res.json({
+        success: result,
+        message: result ? 'yt-dlp binary downloaded successfully' : 'Download failed',
+        path: ytdlpPath,
+        exists: fs.existsSync(ytdlpPath)
+      });
+    } catch (err) {
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to download binary',
+        error: err.message
+      });
+    }
+  });
+
+  // Removes every cached file that is not being played right now
+  admin.post('/clear-cache', requireScope('cache'), async (req, res) => {
+    try {
+      const deletedFiles = await cache.clear();
+      res.json({ success: true, deletedFiles });
+    } catch (err) {
+      logger.error('Failed to clear the audio cache', { error: err });
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to clear cache',
+        error: err.message
+      });
+    }
+  });
+
+  return admin;
+}
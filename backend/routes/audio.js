@@ -0,0 +1,270 @@
+import express from 'express';
+import { pipeline } from 'stream';
+import contentDisposition from 'content-disposition';
+import { serveFile } from '../serve-file.js';
+import { extractorHeader } from '../extractor-registry.js';
+import { AUDIO_FORMATS, resolveFormat, resolveQuality, describeBitrate } from '../formats.js';
+import { resolveClip, resolveLoudnessTarget, resolveTrim } from '../audio-processing.js';
+import { audioCacheKey, processedCacheKey } from '../audio-library.js';
+import { videoIdParam } from './params.js';
+import { failureStatus } from './errors.js';
+import logger from '../logger.js';
+
+/**
+ * Response headers describing an audio variant
+ */
+function audioHeaders(format, quality) {
+  return {
+    'Content-Type': AUDIO_FORMATS[format].mimeType,
+    'X-Audio-Format': format,
+    'X-Audio-Quality': quality,
+    'X-Audio-Bitrate': describeBitrate(quality)
+  };
+}
+
+/**
+ * Response headers reporting the measured loudness of a cached file, so clients
+ * can apply gain themselves. Empty if the file has not been measured.
+ */
+function loudnessHeaders(meta) {
+  if (!meta?.loudness) return {};
+
+  const headers = {
+    'X-Loudness-Integrated': `${meta.loudness.integrated} LUFS`,
+    'X-Loudness-True-Peak': `${meta.loudness.truePeak} dBTP`
+  };
+  if (meta.loudness.target !== undefined) {
+    headers['X-Loudness-Target'] = `${meta.loudness.target} LUFS`;
+  }
+  return headers;
+}
+
+/**
+ * Sends a cached file with Range, ETag and conditional request support
+ */
+function sendCachedAudio(req, res, cache, cacheKey, entry, headers) {
+  serveFile(req, res, {
+    size: entry.size,
+    mtime: entry.mtime,
+    headers: entry.meta?.extractor ? { ...headers, 'X-Extractor': extractorHeader(entry.meta.extractor) } : headers,
+    createReadStream: options => cache.createReadStream(cacheKey, options)
+  });
+}
+
+/**
+ * Sends a track that is still being extracted. The length is not known yet, so
+ * the whole file is streamed as it grows and Range requests are answered with 200.
+ */
+function sendLiveAudio(res, file, headers) {
+  res.writeHead(200, {
+    ...headers,
+    'Cache-Control': 'no-store'
+  });
+
+  pipeline(file.createReadStream(), res, err => {
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      logger.error('Live audio stream error', { error: err });
+    }
+  });
+}
+
+/**
+ * Track audio: whole tracks, clips, processed variants and chapters.
+ * chargeExtraction(req, res) charges a new extraction to the client's extraction
+ * rate limit and quota, or answers 429 and returns false.
+ */
+export function audioRoutes({ library, cache, catalog, playLimiter, apiLimiter, chargeExtraction, defaultLoudnessTarget }) {
+  const router = express.Router();
+  router.param('videoId', videoIdParam);
+
+  // Audio endpoint to stream audio files
+  router.get('/audio/:videoId', playLimiter, async (req, res) => {
+    const { videoId } = req.params;
+    const { format, negotiated, error: formatError } = resolveFormat(req);
+    if (formatError) {
+      return res.status(400).send(formatError);
+    }
+    const { quality, error: qualityError } = resolveQuality(req.query.quality, format);
+    if (qualityError) {
+      return res.status(400).send(qualityError);
+    }
+    const { clip, error: clipError } = resolveClip(req.query);
+    if (clipError) {
+      return res.status(400).send(clipError);
+    }
+    const { target: loudnessTarget, error: loudnessError } = resolveLoudnessTarget(req.query.normalize, defaultLoudnessTarget);
+    if (loudnessError) {
+      return res.status(400).send(loudnessError);
+    }
+    const { trim, error: trimError } = resolveTrim(req.query.trim);
+    if (trimError) {
+      return res.status(400).send(trimError);
+    }
+    const processing = { trim, loudnessTarget };
+    const cacheKey = audioCacheKey(videoId, format, quality);
+    const headers = audioHeaders(format, quality);
+    const download = req.query.download === '1' || req.query.download === 'true';
+
+    // Caches must not hand a negotiated format to clients that asked for another
+    if (negotiated) {
+      res.vary('Accept');
+    }
+
+    // HEAD requests for a plain track only get headers and never start an extraction
+    const extracts = req.method !== 'HEAD' || clip || trim || loudnessTarget !== null;
+    if (extracts && library.needsExtraction(videoId, format, quality, processing) && !chargeExtraction(req, res)) {
+      return;
+    }
+
+    try {
+      if (clip) {
+        const { duration } = await catalog.getVideoInfo(videoId);
+        if (clip.end === null && duration === null) {
+          return res.status(400).send('Clip end is required for tracks of unknown length');
+        }
+        if (duration !== null && clip.start >= duration) {
+          return res.status(400).send(`Clip start is past the end of the track (${duration}s)`);
+        }
+        const end = duration === null ? clip.end : Math.min(clip.end ?? duration, duration);
+
+        const { cacheKey: clipKey, entry } = await library.getClip(videoId, format, quality, { ...clip, end }, processing);
+        headers['Content-Disposition'] = contentDisposition(entry.meta.filename, { type: download ? 'attachment' : 'inline' });
+        return sendCachedAudio(req, res, cache, clipKey, entry, headers);
+      }
+
+      if (trim || loudnessTarget !== null) {
+        const entry = await library.getProcessedAudio(videoId, format, quality, processing);
+        const filename = entry.meta?.filename || `${videoId}.${AUDIO_FORMATS[format].extension}`;
+        headers['Content-Disposition'] = contentDisposition(filename, { type: download ? 'attachment' : 'inline' });
+        return sendCachedAudio(req, res, cache, processedCacheKey(videoId, format, quality, processing), entry, {
+          ...headers,
+          ...loudnessHeaders(entry.meta)
+        });
+      }
+
+      let entry = cache.get(cacheKey);
+
+      if (!entry) {
+        // Only the headers are wanted; don't start an extraction for them
+        if (req.method === 'HEAD') {
+          res.writeHead(200, { ...headers, 'Cache-Control': 'no-store' });
+          return res.end();
+        }
+
+        const extraction = library.getExtraction(videoId, format, quality);
+        const { file } = extraction;
+
+        try {
+          // Seeking and downloads need the finished, tagged file; playback from
+          // the start can follow the transcode
+          const partial = req.headers.range && !/^bytes=0-\s*$/.test(req.headers.range);
+          if (partial || download) {
+            await file.done;
+          } else {
+            await file.ready;
+          }
+        } catch (error) {
+          return res.status(failureStatus(error)).send('Failed to extract audio: ' + error.message);
+        }
+
+        if (!file.finished) {
+          const { status, attempts } = extraction;
+          const extractor = status.strategy
+            ? { strategy: status.strategy, attempts: [...attempts, { strategy: status.strategy, outcome: 'running' }] }
+            : null;
+          return sendLiveAudio(res, file, extractor ? { ...headers, 'X-Extractor': extractorHeader(extractor) } : headers);
+        }
+        entry = cache.get(cacheKey);
+        if (!entry) {
+          return res.status(500).send('Failed to load audio: extracted file was evicted');
+        }
+      }
+
+      const filename = entry.meta?.filename || `${videoId}.${AUDIO_FORMATS[format].extension}`;
+      headers['Content-Disposition'] = contentDisposition(filename, { type: download ? 'attachment' : 'inline' });
+
+      sendCachedAudio(req, res, cache, cacheKey, entry, { ...headers, ...loudnessHeaders(entry.meta) });
+    } catch (err) {
+      logger.error('Audio fetch error', { videoId: req.params.videoId, error: err });
+      if (!res.headersSent) {
+        res.status(failureStatus(err)).send('Failed to load audio: ' + err.message);
+      }
+    }
+  });
+
+  // Chapter markers of a track, with the URL of each chapter's audio
+  router.get('/audio/:videoId/chapters', apiLimiter, async (req, res) => {
+    const { videoId } = req.params;
+
+    try {
+      const { chapters } = await catalog.getVideoInfo(videoId);
+      res.json({
+        videoId,
+        chapters: chapters.map((chapter, index) => ({
+          index,
+          ...chapter,
+          duration: chapter.end - chapter.start,
+          audioUrl: `/audio/${videoId}/chapters/${index}`
+        }))
+      });
+    } catch (err) {
+      logger.error('Failed to list chapters', { videoId, error: err });
+      res.status(failureStatus(err)).json({
+        error: err.videoError ? 'Video is unavailable' : 'Could not retrieve chapters',
+        message: (err.stderr || err.message).trim().split('\n').pop()
+      });
+    }
+  });
+
+  // A single chapter, cut from the cached full track
+  router.get('/audio/:videoId/chapters/:index', playLimiter, async (req, res) => {
+    const { videoId } = req.params;
+    const index = Number(req.params.index);
+
+    if (!Number.isInteger(index) || index < 0) {
+      return res.status(400).send('Invalid chapter index');
+    }
+    const { format, negotiated, error: formatError } = resolveFormat(req);
+    if (formatError) {
+      return res.status(400).send(formatError);
+    }
+    const { quality, error: qualityError } = resolveQuality(req.query.quality, format);
+    if (qualityError) {
+      return res.status(400).send(qualityError);
+    }
+    const { target: loudnessTarget, error: loudnessError } = resolveLoudnessTarget(req.query.normalize, defaultLoudnessTarget);
+    if (loudnessError) {
+      return res.status(400).send(loudnessError);
+    }
+    if (negotiated) {
+      res.vary('Accept');
+    }
+
+    try {
+      const info = await catalog.getVideoInfo(videoId);
+      if (!info.chapters[index]) {
+        return res.status(404).send(`Chapter ${index} not found (track has ${info.chapters.length} chapters)`);
+      }
+      // Charged only once it is clear the chapter exists
+      if (library.needsExtraction(videoId, format, quality) && !chargeExtraction(req, res)) {
+        return;
+      }
+
+      const { cacheKey, entry } = await library.getChapter(videoId, format, quality, { info, index, loudnessTarget });
+
+      const download = req.query.download === '1' || req.query.download === 'true';
+      const headers = {
+        ...audioHeaders(format, quality),
+        'Content-Disposition': contentDisposition(entry.meta.filename, { type: download ? 'attachment' : 'inline' })
+      };
+      sendCachedAudio(req, res, cache, cacheKey, entry, headers);
+    } catch (err) {
+      logger.error('Failed to cut chapter', { videoId, index, error: err });
+      if (!res.headersSent) {
+        res.status(failureStatus(err)).send('Failed to load chapter: ' + err.message);
+      }
+    }
+  });
+
+  return router;
+}
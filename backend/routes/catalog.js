@@ -0,0 +1,102 @@
+import express from 'express';
+import { AUDIO_FORMATS } from '../formats.js';
+import { isVideoId } from '../video-info.js';
+import { parsePlaylistId, MAX_SEARCH_RESULTS, MAX_PLAYLIST_PAGE_SIZE } from '../youtube-catalog.js';
+import { videoIdParam } from './params.js';
+import { failureStatus } from './errors.js';
+import logger from '../logger.js';
+
+/**
+ * The last line of what yt-dlp printed on failure, which usually says why
+ */
+function failureMessage(err) {
+  return (err.stderr || err.message).trim().split('\n').pop();
+}
+
+/**
+ * Video info, search and playlists, answered from the YouTubeCatalog
+ */
+export function catalogRoutes({ catalog }) {
+  const router = express.Router();
+  router.param('videoId', videoIdParam);
+
+  // Track metadata: title, channel, duration, thumbnails, chapters, availability and source formats
+  router.get('/info/:videoId', async (req, res) => {
+    const { videoId } = req.params;
+
+    try {
+      const info = await catalog.getVideoInfo(videoId);
+      res.json({ ...info, outputFormats: Object.keys(AUDIO_FORMATS) });
+    } catch (err) {
+      logger.error('Failed to get video info', { videoId, error: err });
+      res.status(failureStatus(err)).json({
+        error: err.videoError ? 'Video is unavailable' : 'Could not retrieve video information',
+        message: failureMessage(err)
+      });
+    }
+  });
+
+  // Whether a video can be played, in the short form of the old server's /check
+  router.get('/check/:id', async (req, res) => {
+    if (!isVideoId(req.params.id)) {
+      return res.status(400).json({ valid: false, message: 'Invalid video ID format' });
+    }
+
+    try {
+      const info = await catalog.getVideoInfo(req.params.id);
+      res.json({ valid: true, title: info.title, author: info.channel.name, lengthSeconds: info.duration });
+    } catch (err) {
+      logger.warn('Video check failed', { videoId: req.params.id, error: err });
+      res.status(400).json({ valid: false, message: 'Could not retrieve video information' });
+    }
+  });
+
+  // Keyless YouTube search
+  router.get('/search', async (req, res) => {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const page = parseInt(req.query.page, 10) || 1;
+
+    if (!query || query.length > 200) {
+      return res.status(400).json({ error: 'Query must be between 1 and 200 characters' });
+    }
+    if (limit < 1 || page < 1 || limit * page > MAX_SEARCH_RESULTS) {
+      return res.status(400).json({ error: `limit and page must be positive and cover at most ${MAX_SEARCH_RESULTS} results` });
+    }
+
+    try {
+      const results = await catalog.search(query, limit, page);
+      res.json({ query, page, limit, results });
+    } catch (err) {
+      logger.error('Search failed', { query, error: err });
+      res.status(500).json({ error: 'Search failed', message: failureMessage(err) });
+    }
+  });
+
+  // Ordered entries of a YouTube playlist, paged for very large playlists
+  router.get('/playlist/resolve', async (req, res) => {
+    const playlistId = typeof req.query.url === 'string' ? parsePlaylistId(req.query.url.trim()) : null;
+    const limit = parseInt(req.query.limit, 10) || 100;
+    const page = parseInt(req.query.page, 10) || 1;
+
+    if (!playlistId) {
+      return res.status(400).json({ error: 'url must be a YouTube playlist URL (with a list= parameter) or playlist ID' });
+    }
+    if (limit < 1 || limit > MAX_PLAYLIST_PAGE_SIZE || page < 1) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_PLAYLIST_PAGE_SIZE} and page positive` });
+    }
+
+    try {
+      res.json(await catalog.resolvePlaylist(playlistId, limit, page));
+    } catch (err) {
+      logger.error('Failed to resolve playlist', { playlistId, error: err });
+      const unavailable = /does not exist|unavailable|private/i.test(err.stderr || err.message);
+      res.status(unavailable ? 404 : 500).json({
+        error: unavailable ? 'Playlist is unavailable' : 'Could not resolve playlist',
+        message: failureMessage(err)
+      });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,194 @@
+import express from 'express';
+import { pipeline } from 'stream';
+import contentDisposition from 'content-disposition';
+import archiver from 'archiver';
+import { AUDIO_FORMATS, DEFAULT_FORMAT, resolveQuality } from '../formats.js';
+import { isVideoId } from '../video-info.js';
+import { audioCacheKey } from '../audio-library.js';
+import logger from '../logger.js';
+
+// Batch downloads extract a few tracks ahead of the one being zipped
+const BATCH_PREFETCH = 2;
+
+/**
+ * Streams a ZIP of several tracks, in order, while they are extracted. Files are
+ * tagged and numbered ("01 - Artist - Title.mp3") and an M3U playlist lists them.
+ * Tracks that fail are skipped and listed in failed.txt, as are tracks that need
+ * an extraction once reserve() refuses to charge one (see reserveExtraction).
+ */
+function sendBatchZip(res, { library, cache, catalog }, { videoIds, format, quality, name, reserve }) {
+  const { extension } = AUDIO_FORMATS[format];
+  // Audio is already compressed, so entries are stored as is
+  const archive = archiver('zip', { store: true });
+  let cancelled = false;
+
+  res.writeHead(200, {
+    'Content-Type': 'application/zip',
+    'Content-Disposition': contentDisposition(`${name}.zip`),
+    'Cache-Control': 'no-store'
+  });
+  res.once('close', () => {
+    cancelled = !res.writableFinished;
+  });
+  pipeline(archive, res, err => {
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      logger.error('Batch download stream error', { error: err });
+    }
+  });
+
+  const pending = [];
+  const fetchTrack = index => {
+    if (index < videoIds.length && !pending[index]) {
+      const videoId = videoIds[index];
+      // Tracks are charged one at a time, so a batch larger than the budget still
+      // gets every track that fits
+      const refusal = library.needsExtraction(videoId, format, quality) ? reserve() : null;
+      // Failures are handled in order below; don't let them go unhandled meanwhile
+      pending[index] = refusal
+        ? Promise.resolve({ error: new Error(refusal.message) })
+        : library.getCachedAudio(videoId, format, quality).then(
+          entry => ({ entry }),
+          error => ({ error })
+        );
+    }
+    return pending[index];
+  };
+
+  (async () => {
+    const digits = String(videoIds.length).length;
+    const playlist = ['#EXTM3U', `#PLAYLIST:${name}`];
+    const failed = [];
+
+    for (let index = 0; index < videoIds.length && !cancelled; index++) {
+      for (let ahead = 0; ahead <= BATCH_PREFETCH; ahead++) {
+        fetchTrack(index + ahead);
+      }
+
+      const videoId = videoIds[index];
+      const cacheKey = audioCacheKey(videoId, format, quality);
+      const { entry, error } = await fetchTrack(index);
+      // Tracks extracted ahead can be evicted before their turn
+      if (error || !cache.has(cacheKey)) {
+        const message = error ? error.message : 'evicted from the cache';
+        logger.warn('Batch download: skipping track', { videoId, reason: message });
+        failed.push(`${videoId}: ${message}`);
+        continue;
+      }
+
+      const number = String(index + 1).padStart(digits, '0');
+      const filename = `${number} - ${entry.meta?.filename || `${videoId}.${extension}`}`;
+      const duration = catalog.cachedVideoInfo(videoId)?.duration ?? -1;
+      const title = entry.meta ? `${entry.meta.artist} - ${entry.meta.title}` : videoId;
+
+      // One file at a time, so only the file being sent is open and protected from eviction
+      await appendToArchive(archive, cache.createReadStream(cacheKey), filename);
+      playlist.push(`#EXTINF:${Math.round(duration)},${title}`, filename);
+    }
+
+    if (cancelled) return;
+    archive.append(playlist.join('\n') + '\n', { name: `${name}.m3u8` });
+    if (failed.length > 0) {
+      archive.append(failed.join('\n') + '\n', { name: 'failed.txt' });
+    }
+    await archive.finalize();
+    logger.info('Batch download finished', { name, tracks: videoIds.length, succeeded: videoIds.length - failed.length });
+  })().catch(err => {
+    if (cancelled) {
+      logger.info('Batch download cancelled by the client', { name });
+      return;
+    }
+    logger.error('Batch download failed', { name, error: err });
+    archive.abort();
+    // Dropping the connection makes the browser report the download as failed
+    // instead of saving a truncated ZIP
+    res.destroy();
+  });
+}
+
+/**
+ * Adds an entry to an archive and resolves once it has been written out
+ */
+function appendToArchive(archive, source, name) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      archive.off('entry', onEntry);
+      archive.off('error', onClose);
+      archive.off('close', onClose);
+    };
+    const onEntry = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = err => {
+      cleanup();
+      reject(err || new Error('Archive closed'));
+    };
+
+    archive.on('entry', onEntry);
+    archive.once('error', onClose);
+    archive.once('close', onClose);
+    archive.append(source, { name });
+  });
+}
+
+/**
+ * Batch downloads of several tracks as one ZIP
+ */
+export function downloadRoutes({ library, cache, catalog, checkExtraction, reserveExtraction, maxBatchSize }) {
+  const router = express.Router();
+
+  // Reads and validates a batch into req.batch. A batch is refused up front only
+  // if not a single track could be sent.
+  const parseBatch = (req, res, next) => {
+    const { format = DEFAULT_FORMAT, quality: requestedQuality, name } = req.body || {};
+    const requestedIds = typeof req.body?.videoIds === 'string' ? req.body.videoIds.split(',') : req.body?.videoIds;
+
+    if (!Array.isArray(requestedIds) || requestedIds.length === 0) {
+      return res.status(400).json({ error: 'videoIds must be a non-empty list of video IDs' });
+    }
+    const videoIds = [...new Set(requestedIds.map(id => String(id).trim()))];
+    if (!videoIds.every(isVideoId)) {
+      return res.status(400).json({ error: 'Invalid video ID in videoIds' });
+    }
+    if (videoIds.length > maxBatchSize) {
+      return res.status(400).json({ error: `At most ${maxBatchSize} tracks can be downloaded at once` });
+    }
+    if (!Object.hasOwn(AUDIO_FORMATS, format)) {
+      return res.status(400).json({ error: `Unsupported format. Use one of: ${Object.keys(AUDIO_FORMATS).join(', ')}` });
+    }
+    const { quality, error: qualityError } = resolveQuality(requestedQuality, format);
+    if (qualityError) {
+      return res.status(400).json({ error: qualityError });
+    }
+
+    const uncached = videoIds.filter(videoId => library.needsExtraction(videoId, format, quality)).length;
+    if (uncached === videoIds.length && !checkExtraction(req, res)) {
+      return;
+    }
+
+    const safeName = String(name || 'playlist').replace(/[\\/|]/g, '-').replace(/[:*?"<>\x00-\x1f]/g, '').trim().slice(0, 100);
+    req.batch = { videoIds, format, quality, uncached, name: safeName || 'playlist' };
+    next();
+  };
+  const parseBody = [express.json(), express.urlencoded({ extended: false })];
+
+  // Answers what POST /download/batch would, without starting anything: the errors
+  // as JSON, or the number of tracks. The player asks here first, because the
+  // download itself is a form post whose errors it cannot read.
+  router.post('/download/batch/check', parseBody, parseBatch, (req, res) => {
+    const { videoIds, uncached } = req.batch;
+    res.json({ tracks: videoIds.length, uncached });
+  });
+
+  // ZIP of several tracks with an M3U playlist. Accepts JSON or a plain form post,
+  // so browsers can stream the download straight to disk.
+  router.post('/download/batch', parseBody, parseBatch, (req, res) => {
+    const { videoIds, format, quality, name } = req.batch;
+    logger.info('Batch download started', { tracks: videoIds.length, format, quality });
+    sendBatchZip(res, { library, cache, catalog }, {
+      videoIds, format, quality, name, reserve: () => reserveExtraction(req.apiClient)
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,9 @@
+/**
+ * Status for a failed request that needed a video: 404 when the video itself
+ * cannot be had (see markVideoError), 503 when the extraction queue is full,
+ * 500 otherwise
+ */
+export function failureStatus(err) {
+  if (err.videoError) return 404;
+  return err.code === 'QUEUE_FULL' ? 503 : 500;
+}
@@ -0,0 +1,103 @@
+import express from 'express';
+import { pipeline } from 'stream';
+import { QUALITY_PRESETS } from '../formats.js';
+import { buildMediaPlaylist, buildMasterPlaylist, PLAYLIST_MIME_TYPE, SEGMENT_MIME_TYPE } from '../hls.js';
+import { HLS_RENDITIONS, HLS_SOURCE_FORMAT, HLS_SOURCE_QUALITY } from '../audio-library.js';
+import { videoIdParam } from './params.js';
+import { failureStatus } from './errors.js';
+import logger from '../logger.js';
+
+/**
+ * HLS playlists and segments, packaged while the track is extracted
+ */
+export function hlsRoutes({ library, cache, apiLimiter, chargeExtraction }) {
+  const router = express.Router();
+  router.param('videoId', videoIdParam);
+
+  // HLS master playlist with one rendition per bitrate preset, or with ?quality=
+  // the media playlist of that rendition
+  router.get('/hls/:videoId/index.m3u8', apiLimiter, (req, res) => {
+    const { quality } = req.query;
+
+    if (quality !== undefined) {
+      if (!HLS_RENDITIONS.includes(quality)) {
+        return res.status(400).send(`Unsupported quality. Use one of: ${HLS_RENDITIONS.join(', ')}`);
+      }
+      return res.redirect(`${quality}/index.m3u8`);
+    }
+
+    const renditions = HLS_RENDITIONS.map(name => ({
+      bitrate: QUALITY_PRESETS[name].bitrate,
+      url: `${name}/index.m3u8`
+    }));
+    res.type(PLAYLIST_MIME_TYPE).send(buildMasterPlaylist(renditions));
+  });
+
+  // HLS media playlist of one rendition. It only needs the track's duration, so it
+  // is served right away; the extraction and packaging of its segments start meanwhile.
+  router.get('/hls/:videoId/:quality/index.m3u8', apiLimiter, async (req, res) => {
+    const { videoId, quality } = req.params;
+
+    if (!HLS_RENDITIONS.includes(quality)) {
+      return res.status(404).send(`No such rendition. Use one of: ${HLS_RENDITIONS.join(', ')}`);
+    }
+
+    try {
+      const timeline = await library.getHlsTimeline(videoId);
+      if (!timeline) {
+        return res.status(422).send('Tracks of unknown length cannot be streamed over HLS');
+      }
+      if (library.needsExtraction(videoId, HLS_SOURCE_FORMAT, HLS_SOURCE_QUALITY) && !chargeExtraction(req, res)) {
+        return;
+      }
+      library.getHlsPackaging(videoId, quality);
+      res.type(PLAYLIST_MIME_TYPE).send(buildMediaPlaylist(timeline, index => `segment-${index}.ts`));
+    } catch (err) {
+      logger.error('Failed to build HLS playlist', { videoId, quality, error: err });
+      res.status(failureStatus(err)).send('Failed to prepare stream: ' + err.message);
+    }
+  });
+
+  // One HLS segment, sent as soon as the packaging has got that far
+  router.get('/hls/:videoId/:quality/:segment', async (req, res) => {
+    const { videoId, quality } = req.params;
+    const match = /^segment-(\d+)\.ts$/.exec(req.params.segment);
+
+    if (!HLS_RENDITIONS.includes(quality) || !match) {
+      return res.status(404).send('Segment not found');
+    }
+    const index = Number(match[1]);
+
+    try {
+      const timeline = await library.getHlsTimeline(videoId);
+      if (!timeline?.segments[index]) {
+        return res.status(404).send('Segment not found');
+      }
+      // Segments are normally fetched after their playlist started the extraction
+      if (library.needsExtraction(videoId, HLS_SOURCE_FORMAT, HLS_SOURCE_QUALITY) && !chargeExtraction(req, res)) {
+        return;
+      }
+
+      const segment = await library.getHlsSegment(videoId, quality, index);
+      if (!segment) {
+        return res.status(404).send('Segment not found');
+      }
+
+      res.writeHead(200, {
+        'Content-Type': SEGMENT_MIME_TYPE,
+        'Content-Length': segment.entry.size,
+        'Cache-Control': 'public, max-age=86400'
+      });
+      pipeline(cache.createReadStream(segment.cacheKey), res, err => {
+        if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+          logger.error('HLS segment stream error', { error: err });
+        }
+      });
+    } catch (err) {
+      logger.error('Failed to package HLS segment', { videoId, quality, segment: req.params.segment, error: err });
+      res.status(failureStatus(err)).send('Failed to prepare segment: ' + err.message);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,124 @@
+import express from 'express';
+import { AUDIO_FORMATS, DEFAULT_FORMAT, resolveQuality } from '../formats.js';
+import { isVideoId } from '../video-info.js';
+import { audioCacheKey } from '../audio-library.js';
+import { isFinished } from '../job-store.js';
+
+/**
+ * Points a job at the extraction for its track, starting one if needed, and keeps
+ * the job's status in sync with it
+ */
+function runJob(job, { library, cache, jobStore }) {
+  const cacheKey = audioCacheKey(job.videoId, job.format, job.quality);
+  const result = { audioUrl: `/audio/${job.videoId}?format=${job.format}&quality=${job.quality}` };
+
+  if (cache.has(cacheKey)) {
+    jobStore.update(job, {
+      status: 'done',
+      progress: { stage: 'done', percent: 100, eta: 0, strategy: 'cache' },
+      result
+    });
+    return;
+  }
+
+  const extraction = library.getExtraction(job.videoId, job.format, job.quality);
+  const onStatus = status => {
+    jobStore.update(job, { status: status.stage === 'queued' ? 'queued' : 'running', progress: { ...status } });
+  };
+  onStatus(extraction.status);
+  extraction.events.on('status', onStatus);
+
+  extraction.file.done
+    .then(() => {
+      jobStore.update(job, {
+        status: 'done',
+        progress: { ...extraction.status, stage: 'done', percent: 100, eta: 0 },
+        result
+      });
+    })
+    .catch(err => {
+      jobStore.update(job, { status: 'failed', error: err.message });
+    })
+    .finally(() => {
+      extraction.events.off('status', onStatus);
+    });
+}
+
+/**
+ * Asynchronous extraction jobs, with their progress as JSON or Server-Sent Events
+ */
+export function jobRoutes({ library, cache, jobStore, apiLimiter, chargeExtraction }) {
+  const router = express.Router();
+
+  // Start an asynchronous extraction job
+  router.post('/jobs', apiLimiter, express.json(), (req, res) => {
+    const { videoId, format = DEFAULT_FORMAT, quality: requestedQuality } = req.body || {};
+
+    if (!isVideoId(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+    if (!Object.hasOwn(AUDIO_FORMATS, format)) {
+      return res.status(400).json({ error: `Unsupported format. Use one of: ${Object.keys(AUDIO_FORMATS).join(', ')}` });
+    }
+    const { quality, error: qualityError } = resolveQuality(requestedQuality, format);
+    if (qualityError) {
+      return res.status(400).json({ error: qualityError });
+    }
+
+    if (library.needsExtraction(videoId, format, quality) && !chargeExtraction(req, res)) {
+      return;
+    }
+
+    const job = jobStore.create({ videoId, format, quality });
+    runJob(job, { library, cache, jobStore });
+
+    res.status(202).location(`/jobs/${job.id}`).json(job);
+  });
+
+  // Job status
+  router.get('/jobs/:id', (req, res) => {
+    const job = jobStore.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  });
+
+  // Job progress as Server-Sent Events. Each event is named after the job status and
+  // carries the whole job; the stream ends once the job is done or failed.
+  router.get('/jobs/:id/events', (req, res) => {
+    const job = jobStore.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = () => {
+      res.write(`event: ${job.status}\ndata: ${JSON.stringify(job)}\n\n`);
+      if (isFinished(job)) {
+        res.end();
+      }
+    };
+    const onUpdate = updated => {
+      if (updated.id === job.id) send();
+    };
+    // Keeps proxies from closing an idle connection while the job waits in the queue
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15 * 1000);
+
+    jobStore.on('update', onUpdate);
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      jobStore.off('update', onUpdate);
+    });
+
+    send();
+  });
+
+  return router;
+}
@@ -0,0 +1,12 @@
+import { isVideoId } from '../video-info.js';
+
+/**
+ * `router.param('videoId', videoIdParam)`: every route taking a video ID in its
+ * path rejects anything else up front
+ */
+export function videoIdParam(req, res, next, videoId) {
+  if (!isVideoId(videoId)) {
+    return res.status(400).json({ error: 'Invalid video ID format' });
+  }
+  next();
+}
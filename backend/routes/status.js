@@ -0,0 +1,73 @@
+import express from 'express';
+import fs from 'fs';
+import { ytdlpPath, runYtDlp } from '../ytdlp.js';
+
+/**
+ * Liveness, status and statistics for monitoring, and the Prometheus scrape endpoint
+ */
+export function statusRoutes({ library, cache, queue, extractors, jobStore, metrics }) {
+  const router = express.Router();
+
+  router.get('/', (_, res) => {
+    res.send('YouSound Backend API is running');
+  });
+
+  // Simple health check endpoint
+  router.get('/health', (_, res) => {
+    res.status(200).send('OK');
+  });
+
+  // Status endpoint to check if YouTube cookies are working
+  router.get('/status', async (req, res) => {
+    try {
+      // Try to get version info
+      const { stdout } = await runYtDlp(['--version'], { timeoutMs: 30 * 1000 });
+
+      res.json({
+        status: 'ok',
+        binary: {
+          path: ytdlpPath,
+          exists: fs.existsSync(ytdlpPath),
+          version: stdout.trim()
+        },
+        environment: {
+          platform: process.platform,
+          nodejs: process.version
+        },
+        cache: cache.stats(),
+        extractions: {
+          ...queue.stats(),
+          inFlight: [...library.liveExtractions.keys()]
+        },
+        extractors: extractors.stats(),
+        jobs: jobStore.stats()
+      });
+    } catch (err) {
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to execute yt-dlp',
+        error: err.message,
+        binaryPath: ytdlpPath,
+        binaryExists: fs.existsSync(ytdlpPath)
+      });
+    }
+  });
+
+  // Cache and extractor statistics, in the shape the old server's /stats had
+  router.get('/stats', (req, res) => {
+    const { files, totalSizeMB, directory } = cache.stats();
+    res.json({
+      cachedFiles: files,
+      totalSizeMB,
+      cacheDirectory: directory,
+      extractors: extractors.stats()
+    });
+  });
+
+  // Prometheus scrape endpoint
+  router.get('/metrics', (_, res) => {
+    res.type(metrics.contentType()).send(metrics.expose());
+  });
+
+  return router;
+}
@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import { pipeline, PassThrough } from 'stream';
+import parseRange from 'range-parser';
+import logger from './logger.js';
+
+const BYTE_RANGES_PATTERN = /^bytes=\s*(\d+-\d*|-\d+)(\s*,\s*(\d+-\d*|-\d+))*\s*$/;
+
+// Completed files never change in place, so clients may reuse them for a day and revalidate after
+export const DEFAULT_CACHE_CONTROL = 'public, max-age=86400';
+
+/**
+ * Sends a complete file with HTTP caching and range semantics (RFC 9110):
+ *
+ * - ETag (strong, from size and modification time), Last-Modified and Cache-Control
+ * - If-Match / If-Unmodified-Since (412), If-None-Match / If-Modified-Since (304)
+ * - single ranges (206), suffix ranges (`bytes=-500`), multiple ranges
+ *   (multipart/byteranges) and unsatisfiable ranges (416)
+ * - If-Range, so a changed file is sent in full instead of mixing versions
+ * - HEAD, answered with the same headers as GET and no body
+ *
+ * createReadStream({ start, end }) opens the file, or a part of it (inclusive
+ * byte offsets); headers are added to every response except 304s.
+ */
+export function serveFile(req, res, { size, mtime, headers = {}, cacheControl = DEFAULT_CACHE_CONTROL, createReadStream }) {
+  const etag = `"${size.toString(16)}-${mtime.getTime().toString(16)}"`;
+  const lastModified = mtime.toUTCString();
+  const validators = { ETag: etag, 'Last-Modified': lastModified, 'Cache-Control': cacheControl };
+
+  const precondition = checkPreconditions(req, etag, mtime);
+  if (precondition === 412) {
+    res.writeHead(412, validators);
+    return res.end();
+  }
+  if (precondition === 304) {
+    res.writeHead(304, validators);
+    return res.end();
+  }
+
+  const fullHeaders = { ...headers, ...validators, 'Accept-Ranges': 'bytes' };
+  // A Range header that is not valid byte-range syntax is ignored, as RFC 9110 asks
+  const rangeHeader = req.headers.range;
+  const ranges = rangeHeader && BYTE_RANGES_PATTERN.test(rangeHeader) && rangeApplies(req, etag, mtime)
+    ? parseRange(size, rangeHeader, { combine: true })
+    : -2;
+
+  if (ranges === -1) {
+    res.writeHead(416, { ...validators, 'Accept-Ranges': 'bytes', 'Content-Range': `bytes */${size}` });
+    return res.end();
+  }
+
+  // No Range, or one that does not apply: the whole file
+  if (ranges === -2) {
+    res.writeHead(200, { ...fullHeaders, 'Content-Length': size });
+    return sendBody(req, res, () => createReadStream({}));
+  }
+
+  if (ranges.length === 1) {
+    const [{ start, end }] = ranges;
+    res.writeHead(206, {
+      ...fullHeaders,
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Content-Length': end - start + 1
+    });
+    return sendBody(req, res, () => createReadStream({ start, end }));
+  }
+
+  // Several ranges go into one multipart/byteranges body
+  const boundary = crypto.randomBytes(12).toString('hex');
+  const contentType = headers['Content-Type'] || 'application/octet-stream';
+  const parts = ranges.map(({ start, end }) => ({
+    start,
+    end,
+    header: `--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+  }));
+  const trailer = `--${boundary}--\r\n`;
+  const length = parts.reduce((total, part) => total + Buffer.byteLength(part.header) + (part.end - part.start + 1) + 2, 0)
+    + Buffer.byteLength(trailer);
+
+  res.writeHead(206, {
+    ...fullHeaders,
+    'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+    'Content-Length': length
+  });
+  sendBody(req, res, () => multipartStream(parts, trailer, createReadStream));
+}
+
+/**
+ * Evaluates conditional request headers in the order RFC 9110 section 13.2.2 gives.
+ * Returns 412, 304 or null to go on with the request.
+ */
+function checkPreconditions(req, etag, mtime) {
+  const ifMatch = req.headers['if-match'];
+  if (ifMatch) {
+    if (!matchesEtag(ifMatch, etag, true)) return 412;
+  } else if (isNotModifiedSince(req.headers['if-unmodified-since'], mtime) === false) {
+    return 412;
+  }
+
+  const safe = req.method === 'GET' || req.method === 'HEAD';
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    if (matchesEtag(ifNoneMatch, etag, false)) return safe ? 304 : 412;
+  } else if (safe && isNotModifiedSince(req.headers['if-modified-since'], mtime) === true) {
+    return 304;
+  }
+  return null;
+}
+
+/**
+ * If-Range: the Range header only applies if the client's copy is still current.
+ * Dates are weak validators unless they match exactly.
+ */
+function rangeApplies(req, etag, mtime) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+
+  if (ifRange.trim().startsWith('"') || ifRange.trim().startsWith('W/')) {
+    return matchesEtag(ifRange, etag, true);
+  }
+  const date = Date.parse(ifRange);
+  return !Number.isNaN(date) && date === Math.floor(mtime.getTime() / 1000) * 1000;
+}
+
+/**
+ * Compares an If-Match / If-None-Match list against the current ETag.
+ * Strong comparison never matches weak tags; weak comparison ignores the W/ prefix.
+ */
+function matchesEtag(header, etag, strong) {
+  if (header.trim() === '*') return true;
+
+  return header.split(',').some(candidate => {
+    const tag = candidate.trim();
+    if (strong) return tag === etag;
+    return tag.replace(/^W\//, '') === etag.replace(/^W\//, '');
+  });
+}
+
+/**
+ * Returns whether the file is unchanged since an HTTP date (second precision),
+ * or undefined if there is no valid date
+ */
+function isNotModifiedSince(header, mtime) {
+  const date = header ? Date.parse(header) : NaN;
+  if (Number.isNaN(date)) return undefined;
+  return Math.floor(mtime.getTime() / 1000) * 1000 <= date;
+}
+
+function sendBody(req, res, openStream) {
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  pipeline(openStream(), res, err => {
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      logger.error('File stream error', { error: err });
+    }
+  });
+}
+
+/**
+ * Concatenates the parts of a multipart/byteranges body, opening one range at a time
+ */
+function multipartStream(parts, trailer, createReadStream) {
+  const output = new PassThrough();
+  let source = null;
+
+  // A client that goes away must not leave a range file open
+  output.once('close', () => source?.destroy());
+
+  (async () => {
+    for (const part of parts) {
+      if (output.destroyed) return;
+      output.write(part.header);
+      await new Promise((resolve, reject) => {
+        source = createReadStream({ start: part.start, end: part.end });
+        source.on('error', reject);
+        source.on('end', resolve);
+        source.on('close', resolve);
+        source.pipe(output, { end: false });
+      });
+      output.write('\r\n');
+    }
+    output.end(trailer);
+  })().catch(err => output.destroy(err));
+
+  return output;
+}
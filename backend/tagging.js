@@ -0,0 +1,153 @@
+import fs from 'fs';
+import https from 'https';
+import { runProcess } from './process-runner.js';
+import logger from './logger.js';
+
+const MAX_COVER_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Builds the tags embedded into a downloaded file from normalized video info
+ */
+export function tagsFromInfo(info, videoId) {
+  return {
+    title: info.track || info.title || videoId,
+    artist: info.artist || info.channel.name || 'Unknown artist',
+    year: info.uploadDate ? info.uploadDate.slice(0, 4) : null,
+    sourceUrl: info.webpageUrl
+  };
+}
+
+/**
+ * Returns a safe download filename such as "Artist - Title.mp3"
+ */
+export function buildFilename(tags, extension) {
+  const base = `${tags.artist} - ${tags.title}`
+    .replace(/[\\/|]/g, '-')
+    .replace(/[:*?"<>\x00-\x1f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 150);
+  return `${base || 'audio'}.${extension}`;
+}
+
+/**
+ * Picks a JPEG thumbnail (the format every tag standard and player understands)
+ * and downloads it. Resolves to null if none can be fetched.
+ */
+export async function fetchCoverArt(info, videoId) {
+  const jpegs = info.thumbnails.filter(thumb => /\.jpe?g(\?|$)/.test(thumb.url));
+  const url = jpegs.length > 0 ? jpegs[jpegs.length - 1].url : `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`;
+
+  try {
+    return await downloadImage(url);
+  } catch (err) {
+    logger.warn('Failed to download cover art', { error: err });
+    return null;
+  }
+}
+
+function downloadImage(url) {
+  return new Promise((resolve, reject) => {
+    https.get(url, { timeout: 15 * 1000 }, response => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        return reject(new Error(`HTTP ${response.statusCode} for ${url}`));
+      }
+
+      const chunks = [];
+      let size = 0;
+      response.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_COVER_BYTES) {
+          response.destroy(new Error('Cover art is too large'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve(Buffer.concat(chunks)));
+      response.on('error', reject);
+    }).on('timeout', function () {
+      this.destroy(new Error('Cover art download timed out'));
+    }).on('error', reject);
+  });
+}
+
+/**
+ * Writes tags and cover art into an audio file with ffmpeg, without re-encoding.
+ *
+ * MP3 gets ID3v2.4 frames, M4A iTunes atoms, FLAC/Ogg/Opus Vorbis comments and
+ * WAV a RIFF INFO chunk. Cover art is an attached picture stream where the
+ * container supports one; Ogg and Opus carry it as a METADATA_BLOCK_PICTURE
+ * comment instead, and WAV has no place for it.
+ */
+export async function writeTags(inputFile, outputFile, { format, tags, cover, signal }) {
+  const metadataFile = `${outputFile}.ffmetadata`;
+  const coverFile = `${outputFile}.cover.jpg`;
+  const vorbisPicture = cover && (format === 'ogg' || format === 'opus');
+  const attachedPicture = cover && ['mp3', 'm4a', 'flac'].includes(format);
+
+  const fields = {
+    title: tags.title,
+    artist: tags.artist,
+    date: tags.year,
+    comment: tags.sourceUrl
+  };
+  if (vorbisPicture) {
+    fields.METADATA_BLOCK_PICTURE = flacPictureBlock(cover, 'image/jpeg').toString('base64');
+  }
+
+  const lines = [';FFMETADATA1'];
+  for (const [key, value] of Object.entries(fields)) {
+    if (value) lines.push(`${key}=${escapeMetadata(value)}`);
+  }
+
+  try {
+    await fs.promises.writeFile(metadataFile, lines.join('\n') + '\n');
+
+    const args = ['-hide_banner', '-loglevel', 'error', '-y', '-i', inputFile, '-i', metadataFile];
+    if (attachedPicture) {
+      await fs.promises.writeFile(coverFile, cover);
+      args.push('-i', coverFile, '-map', '0:a', '-map', '2:v', '-disposition:v:0', 'attached_pic',
+        '-metadata:s:v', 'title=Album cover', '-metadata:s:v', 'comment=Cover (front)');
+    } else {
+      args.push('-map', '0:a');
+    }
+    // Ogg muxers read comments from the audio stream rather than the file
+    args.push('-map_metadata', '1', '-map_metadata:s:a:0', '1:g', '-c', 'copy');
+    if (format === 'mp3') {
+      args.push('-id3v2_version', '4');
+    }
+    args.push(outputFile);
+
+    await runProcess('ffmpeg', args, { signal });
+  } finally {
+    await fs.promises.rm(metadataFile, { force: true });
+    await fs.promises.rm(coverFile, { force: true });
+  }
+}
+
+// Special characters in ffmetadata values are escaped with a backslash
+function escapeMetadata(value) {
+  return String(value).replace(/([=;#\\\n])/g, '\\$1');
+}
+
+/**
+ * FLAC picture block, the payload of a Vorbis METADATA_BLOCK_PICTURE comment
+ */
+function flacPictureBlock(image, mimeType) {
+  const mime = Buffer.from(mimeType);
+  const description = Buffer.from('Cover (front)');
+  const uint32 = value => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value);
+    return buffer;
+  };
+
+  return Buffer.concat([
+    uint32(3), // front cover
+    uint32(mime.length), mime,
+    uint32(description.length), description,
+    uint32(0), uint32(0), uint32(0), uint32(0), // width, height, depth and palette size unknown
+    uint32(image.length), image
+  ]);
+}
@@ -0,0 +1,75 @@
+/**
+ * Turns yt-dlp's `-J` output into the document served by /info/:videoId.
+ * Only fields the frontend and the tagger use are kept; signed stream URLs are dropped.
+ */
+export function normalizeVideoInfo(info) {
+  const uploadDate = /^\d{8}$/.test(info.upload_date || '')
+    ? `${info.upload_date.slice(0, 4)}-${info.upload_date.slice(4, 6)}-${info.upload_date.slice(6, 8)}`
+    : null;
+
+  return {
+    id: info.id,
+    title: info.title,
+    track: info.track || null,
+    artist: info.artist || null,
+    channel: {
+      id: info.channel_id || null,
+      name: info.channel || info.uploader || null,
+      url: info.channel_url || info.uploader_url || null
+    },
+    duration: info.duration ?? null,
+    uploadDate,
+    webpageUrl: info.webpage_url || `https://www.youtube.com/watch?v=${info.id}`,
+    // yt-dlp lists thumbnails from least to most preferred
+    thumbnails: (info.thumbnails || [])
+      .filter(thumb => thumb.url)
+      .map(thumb => ({ url: thumb.url, width: thumb.width ?? null, height: thumb.height ?? null })),
+    chapters: (info.chapters || []).map(chapter => ({
+      title: chapter.title,
+      start: chapter.start_time,
+      end: chapter.end_time
+    })),
+    availability: info.availability || null,
+    isLive: Boolean(info.is_live),
+    ageRestricted: (info.age_limit || 0) >= 18,
+    audioFormats: (info.formats || [])
+      .filter(format => format.acodec && format.acodec !== 'none' && (!format.vcodec || format.vcodec === 'none'))
+      .map(format => ({
+        formatId: format.format_id,
+        ext: format.ext,
+        codec: format.acodec,
+        bitrate: format.abr ?? null,
+        sampleRate: format.asr ?? null,
+        channels: format.audio_channels ?? null,
+        filesize: format.filesize ?? format.filesize_approx ?? null,
+        language: format.language || null
+      }))
+  };
+}
+
+/**
+ * Turns an entry of a flat yt-dlp listing (search results, playlists) into the
+ * compact track shape the frontend renders
+ */
+export function normalizeFlatEntry(entry) {
+  const thumbnails = (entry.thumbnails || []).filter(thumb => thumb.url);
+  return {
+    id: entry.id,
+    title: entry.title,
+    channel: entry.channel || entry.uploader || null,
+    duration: entry.duration ?? null,
+    thumbnail: thumbnails.length > 0
+      ? thumbnails[thumbnails.length - 1].url
+      : `https://i.ytimg.com/vi/${entry.id}/hqdefault.jpg`
+  };
+}
+
+const VIDEO_ID_PATTERN = /^[a-zA-Z0-9_-]{11}$/;
+
+/**
+ * Whether a value is a YouTube video ID. Only values that pass this may be put
+ * into yt-dlp arguments or cache file names.
+ */
+export function isVideoId(value) {
+  return typeof value === 'string' && VIDEO_ID_PATTERN.test(value);
+}
@@ -0,0 +1,135 @@
+import NodeCache from 'node-cache';
+import { runYtDlp, cookieArgs } from './ytdlp.js';
+import { normalizeVideoInfo, normalizeFlatEntry, isVideoId } from './video-info.js';
+
+export const MAX_SEARCH_RESULTS = 50;
+export const MAX_PLAYLIST_PAGE_SIZE = 500;
+const PLAYLIST_ID_PATTERN = /^[\w-]{10,64}$/;
+
+/**
+ * Extracts the playlist ID from a YouTube playlist URL (or a bare ID).
+ * Returns null for anything else, so arbitrary URLs never reach yt-dlp.
+ */
+export function parsePlaylistId(value) {
+  if (PLAYLIST_ID_PATTERN.test(value)) return value;
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return null;
+  }
+  const youtubeHost = /(^|\.)youtube\.com$/.test(url.hostname) || url.hostname === 'youtu.be';
+  const listId = url.searchParams.get('list');
+  return youtubeHost && listId && PLAYLIST_ID_PATTERN.test(listId) ? listId : null;
+}
+
+/**
+ * What yt-dlp can tell about YouTube without downloading anything: video info,
+ * search results and playlists, each cached for its own TTL (in seconds)
+ */
+export default class YouTubeCatalog {
+  constructor({ infoTtl, searchTtl, playlistTtl }) {
+    // Normalized video info, shared by /info and the tagger
+    this.infoCache = new NodeCache({ stdTTL: infoTtl });
+    this.pendingInfo = new Map();
+    // Search results change slowly; caching them keeps repeated searches off yt-dlp
+    this.searchCache = new NodeCache({ stdTTL: searchTtl });
+    // Resolved playlist pages; curated playlists change rarely
+    this.playlistCache = new NodeCache({ stdTTL: playlistTtl });
+  }
+
+  /**
+   * Fetches yt-dlp's JSON description of a video (title, channel, thumbnails, formats, ...)
+   */
+  async fetchVideoInfo(videoId) {
+    const args = [`https://www.youtube.com/watch?v=${videoId}`, '-J', '--skip-download', '--no-playlist', '--no-warnings', ...cookieArgs()];
+    const { stdout } = await runYtDlp(args, { maxStdoutBytes: 50 * 1024 * 1024, timeoutMs: 60 * 1000 });
+    return JSON.parse(stdout);
+  }
+
+  /**
+   * Returns normalized video info from the cache, fetching it at most once at a time per video
+   */
+  async getVideoInfo(videoId) {
+    const cached = this.infoCache.get(videoId);
+    if (cached) return cached;
+
+    if (!this.pendingInfo.has(videoId)) {
+      const request = this.fetchVideoInfo(videoId)
+        .then(raw => {
+          const info = normalizeVideoInfo(raw);
+          this.infoCache.set(videoId, info);
+          return info;
+        })
+        .finally(() => this.pendingInfo.delete(videoId));
+      this.pendingInfo.set(videoId, request);
+    }
+    return this.pendingInfo.get(videoId);
+  }
+
+  /**
+   * Video info if it is cached, without fetching it
+   */
+  cachedVideoInfo(videoId) {
+    return this.infoCache.get(videoId);
+  }
+
+  /**
+   * Searches YouTube through yt-dlp's ytsearch extractor, without an API key.
+   * yt-dlp can only return the first N results, so page P is the tail of the first P * limit.
+   */
+  async search(query, limit, page) {
+    const cacheKey = `${page}:${limit}:${query}`;
+    const cached = this.searchCache.get(cacheKey);
+    if (cached) return cached;
+
+    const args = [
+      `ytsearch${page * limit}:${query}`, '-J', '--flat-playlist', '--no-warnings',
+      '--playlist-start', String((page - 1) * limit + 1)
+    ];
+    const { stdout } = await runYtDlp(args, { maxStdoutBytes: 20 * 1024 * 1024, timeoutMs: 30 * 1000 });
+
+    const results = (JSON.parse(stdout).entries || [])
+      .filter(entry => entry && isVideoId(entry.id))
+      .map(normalizeFlatEntry);
+    this.searchCache.set(cacheKey, results);
+    return results;
+  }
+
+  /**
+   * Lists one page of a playlist's entries in order, with yt-dlp's flat extraction
+   * (no per-video requests)
+   */
+  async resolvePlaylist(playlistId, limit, page) {
+    const cacheKey = `${playlistId}:${page}:${limit}`;
+    const cached = this.playlistCache.get(cacheKey);
+    if (cached) return cached;
+
+    const args = [
+      `https://www.youtube.com/playlist?list=${playlistId}`, '-J', '--flat-playlist', '--no-warnings',
+      '--playlist-start', String((page - 1) * limit + 1), '--playlist-end', String(page * limit), ...cookieArgs()
+    ];
+    const { stdout } = await runYtDlp(args, { maxStdoutBytes: 50 * 1024 * 1024, timeoutMs: 120 * 1000 });
+
+    const playlist = JSON.parse(stdout);
+    const entries = (playlist.entries || [])
+      .filter(entry => entry && isVideoId(entry.id))
+      .map(normalizeFlatEntry);
+    const total = playlist.playlist_count ?? null;
+
+    const result = {
+      id: playlistId,
+      title: playlist.title || null,
+      channel: playlist.channel || playlist.uploader || null,
+      total,
+      page,
+      limit,
+      // Unavailable videos are dropped, so a short page only ends the list when the total is unknown
+      hasMore: total !== null ? page * limit < total : (playlist.entries || []).length === limit,
+      entries
+    };
+    this.playlistCache.set(cacheKey, result);
+    return result;
+  }
+}
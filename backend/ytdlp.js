@@ -0,0 +1,269 @@
+import fs from 'fs';
+import path from 'path';
+import https from 'https';
+import { EventEmitter } from 'events';
+import { runProcess } from './process-runner.js';
+import logger, { addRedaction } from './logger.js';
+
+/**
+ * The yt-dlp binary: where it lives, getting a working copy of it and running it.
+ * Every run goes through runProcess with an argument array, never through a shell.
+ *
+ * ytdlpEvents emits `exit` with the exit code (or the signal or failure reason
+ * if yt-dlp did not exit) after every run, for metrics.
+ */
+export const BIN_DIR = path.join(process.cwd(), 'bin');
+export const ytdlpPath = path.join(BIN_DIR, process.platform === 'win32' ? 'yt-dlp.exe' : 'yt-dlp');
+// The cookies and config files live in the configured tmpDir; setupYtDlp sets them
+export let cookiesPath = null;
+export let configDir = null;
+let configPath = null;
+
+const DOWNLOAD_URL = process.platform === 'win32'
+  ? 'https://github.com/yt-dlp/yt-dlp/releases/latest/download/yt-dlp.exe'
+  : 'https://github.com/yt-dlp/yt-dlp/releases/latest/download/yt-dlp';
+
+// Makes yt-dlp print one machine-readable line per progress update:
+// downloaded bytes, total bytes, estimated total bytes and ETA in seconds
+export const PROGRESS_TEMPLATE = 'download:[progress] %(progress.downloaded_bytes)s %(progress.total_bytes)s %(progress.total_bytes_estimate)s %(progress.eta)s';
+export const PROGRESS_FLAGS = ['--newline', '--progress', '--progress-template', PROGRESS_TEMPLATE];
+
+export const ytdlpEvents = new EventEmitter();
+
+// Errors about the video itself rather than about how it was fetched. "Sign in to
+// confirm you're not a bot" is deliberately not one of them: that is a blocked host.
+const VIDEO_ERROR_PATTERN = /video unavailable|private video|video has been removed|no longer available|does not exist|sign in to confirm your age|age-restricted|inappropriate for some users|members-only|join this channel/i;
+
+/**
+ * Creates the binary and config directories, writes the yt-dlp config file and,
+ * if given, the cookies file from its base64 text. Both files go under tmpDir.
+ */
+export function setupYtDlp({ tmpDir, ytdlpConfig, cookiesBase64 }) {
+  cookiesPath = path.join(tmpDir, 'youtube_cookies.txt');
+  configDir = path.join(tmpDir, 'yt-dlp-config');
+  configPath = path.join(configDir, 'config');
+  addRedaction(cookiesPath);
+
+  for (const dir of [BIN_DIR, configDir]) {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+      logger.info('Created directory', { dir });
+    }
+  }
+
+  fs.writeFileSync(configPath, ytdlpConfig);
+  logger.info('Created yt-dlp config file', { path: configPath });
+
+  if (cookiesBase64) {
+    try {
+      fs.writeFileSync(cookiesPath, Buffer.from(cookiesBase64, 'base64').toString());
+      logger.info('YouTube cookies file created from environment variable');
+    } catch (error) {
+      logger.error('Failed to create cookies file from environment variable', { error });
+    }
+  }
+}
+
+/**
+ * `--cookies <file>` if a cookies file was set up, for commands that use them
+ */
+export function cookieArgs() {
+  return cookiesPath && fs.existsSync(cookiesPath) ? ['--cookies', cookiesPath] : [];
+}
+
+/**
+ * `--config-locations <file>` for the config file written by setupYtDlp. yt-dlp
+ * does not look in that directory by itself, so every run has to name it.
+ */
+export function configArgs() {
+  return configPath ? ['--config-locations', configPath] : [];
+}
+
+/**
+ * Downloads the yt-dlp binary with proper error handling
+ */
+export async function downloadYtDlp() {
+  logger.info('Starting yt-dlp download');
+
+  try {
+    // Create bin directory if it doesn't exist
+    if (!fs.existsSync(BIN_DIR)) {
+      fs.mkdirSync(BIN_DIR, { recursive: true });
+      logger.info('Created bin directory', { dir: BIN_DIR });
+    }
+
+    // Remove existing binary if it exists (to ensure a clean download)
+    if (fs.existsSync(ytdlpPath)) {
+      fs.unlinkSync(ytdlpPath);
+      logger.info('Removed existing binary', { path: ytdlpPath });
+    }
+
+    // Try multiple download approaches
+
+    // Approach 1: Use curl (most reliable)
+    try {
+      logger.info('Downloading yt-dlp', { method: 'curl' });
+      await runProcess('curl', ['-L', DOWNLOAD_URL, '-o', ytdlpPath], { timeoutMs: 5 * 60 * 1000 });
+      fs.chmodSync(ytdlpPath, 0o755);
+      logger.info('Downloaded yt-dlp', { method: 'curl', path: ytdlpPath });
+      return true;
+    } catch (err) {
+      logger.warn('yt-dlp download failed', { method: 'curl', error: err });
+    }
+
+    // Approach 2: Use HTTPS module
+    try {
+      logger.info('Downloading yt-dlp', { method: 'https' });
+      await new Promise((resolve, reject) => {
+        const file = fs.createWriteStream(ytdlpPath);
+        https.get(DOWNLOAD_URL, response => {
+          response.pipe(file);
+          file.on('finish', () => {
+            file.close();
+            fs.chmodSync(ytdlpPath, 0o755);
+            logger.info('Downloaded yt-dlp', { method: 'https', path: ytdlpPath });
+            resolve();
+          });
+        }).on('error', err => {
+          if (fs.existsSync(ytdlpPath)) fs.unlinkSync(ytdlpPath);
+          reject(err);
+        });
+      });
+      return true;
+    } catch (err) {
+      logger.warn('yt-dlp download failed', { method: 'https', error: err });
+    }
+
+    // Approach 3: Try using wget
+    try {
+      logger.info('Downloading yt-dlp', { method: 'wget' });
+      await runProcess('wget', [DOWNLOAD_URL, '-O', ytdlpPath], { timeoutMs: 5 * 60 * 1000 });
+      fs.chmodSync(ytdlpPath, 0o755);
+      logger.info('Downloaded yt-dlp', { method: 'wget', path: ytdlpPath });
+      return true;
+    } catch (err) {
+      logger.warn('yt-dlp download failed', { method: 'wget', error: err });
+    }
+
+    logger.error('All yt-dlp download methods failed');
+    return false;
+  } catch (error) {
+    logger.error('Failed to download yt-dlp', { error });
+    return false;
+  }
+}
+
+/**
+ * Verifies that the yt-dlp binary exists and is executable
+ */
+async function verifyYtDlpBinary() {
+  logger.info('Verifying yt-dlp binary');
+
+  try {
+    // Check if binary exists
+    if (!fs.existsSync(ytdlpPath)) {
+      logger.info('yt-dlp binary not found, will download', { path: ytdlpPath });
+      return false;
+    }
+
+    // Make it executable
+    fs.chmodSync(ytdlpPath, 0o755);
+
+    // Test if it works
+    const { stdout } = await runProcess(ytdlpPath, ['--version'], { timeoutMs: 30 * 1000 });
+    logger.info('yt-dlp binary verified', { version: stdout.trim() });
+    return true;
+  } catch (error) {
+    logger.error('yt-dlp binary verification failed', { error });
+    return false;
+  }
+}
+
+/**
+ * Ensures the yt-dlp binary is available and working
+ */
+export async function ensureYtDlpBinary() {
+  let verified = await verifyYtDlpBinary();
+
+  if (!verified) {
+    logger.info('yt-dlp binary verification failed, downloading a fresh copy');
+    await downloadYtDlp();
+    verified = await verifyYtDlpBinary();
+  }
+
+  if (!verified) {
+    logger.error('Failed to ensure a working yt-dlp binary after multiple attempts');
+    return false;
+  }
+
+  logger.info('yt-dlp binary is ready to use');
+  return true;
+}
+
+/**
+ * Relays yt-dlp progress lines (see PROGRESS_TEMPLATE) from an output stream to onProgress
+ */
+export function watchProgress(stream, onProgress) {
+  let pending = '';
+  stream.on('data', data => {
+    const lines = (pending + data).split(/[\r\n]+/);
+    pending = lines.pop();
+
+    for (const line of lines) {
+      if (line.startsWith('[progress] ')) {
+        const [downloaded, total, estimate, eta] = line.slice(11).split(' ').map(Number);
+        const size = total || estimate;
+        onProgress({
+          stage: 'downloading',
+          percent: size && Number.isFinite(downloaded) ? Math.min(100, Math.round(downloaded / size * 100)) : null,
+          eta: Number.isFinite(eta) ? eta : null
+        });
+      } else if (line.startsWith('[ExtractAudio]')) {
+        onProgress({ stage: 'transcoding', percent: 100, eta: null });
+      }
+    }
+  });
+}
+
+/**
+ * Sets `videoError` on an error that says the video cannot be had at all
+ * (unavailable, private, removed, age-restricted without cookies), as opposed to
+ * a failure of the tool or the host. Returns the error.
+ */
+export function markVideoError(err) {
+  if (err && VIDEO_ERROR_PATTERN.test(err.stderr || err.message || '')) {
+    err.videoError = true;
+  }
+  return err;
+}
+
+/**
+ * Runs yt-dlp with an argument array (never through a shell). Progress lines on
+ * its stdout go to onProgress, if given. The config file from setupYtDlp applies
+ * to every run. Failures are marked with markVideoError.
+ */
+export function runYtDlp(args, { onProgress, ...options } = {}) {
+  return countYtDlpExit(runProcess(ytdlpPath, [...args, ...configArgs()], {
+    ...options,
+    onSpawn: onProgress ? child => watchProgress(child.stdout, onProgress) : undefined
+  })).catch(err => {
+    throw markVideoError(err);
+  });
+}
+
+/**
+ * Reports how a yt-dlp run ended through ytdlpEvents; for runs started with
+ * spawnProcess instead of runYtDlp
+ */
+export function countYtDlpExit(run) {
+  return run.then(
+    result => {
+      ytdlpEvents.emit('exit', result.code);
+      return result;
+    },
+    err => {
+      ytdlpEvents.emit('exit', err.exitCode ?? err.signal ?? err.reason ?? 'error');
+      throw err;
+    }
+  );
+}
@@ -2,7 +2,7 @@
 
 import { useEffect, useState, useRef } from "react"
 import axios from "axios"
-import { Search, Play, Download, Plus, Trash2, Music, ListMusic, PlusCircle } from "lucide-react"
+import { Search, Play, Download, Plus, Trash2, Music, ListMusic, PlusCircle, Link } from "lucide-react"
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
@@ -16,9 +16,21 @@ import { Slider } from "@/components/ui/slider"
 import VoiceCommander from "@/components/voicecommand"
 import { toast } from "react-hot-toast"
 
-const YT_API_KEY = process.env.NEXT_PUBLIC_YT_API_KEY
 const BACKEND_URL = process.env.NEXT_PUBLIC_BACKEND_URL
 
+// Backend tracks use a compact shape; the UI and saved playlists use the YouTube API's
+const toVideo = (track) => ({
+  id: { videoId: track.id },
+  snippet: {
+    title: track.title,
+    channelTitle: track.channel,
+    thumbnails: {
+      default: { url: track.thumbnail },
+      medium: { url: track.thumbnail },
+    },
+  },
+})
+
 function CustomAudioPlayer({ src, onEnded, autoPlay }) {
   const audioRef = useRef(null)
   const [playing, setPlaying] = useState(autoPlay)
@@ -178,6 +190,10 @@ export default function Home() {
   const [currentPlaylist, setCurrentPlaylist] = useState(null)
   const [playlistName, setPlaylistName] = useState("")
   const [showPlaylistModal, setShowPlaylistModal] = useState(false)
+  const [showImportModal, setShowImportModal] = useState(false)
+  const [importUrl, setImportUrl] = useState("")
+  const [importName, setImportName] = useState("")
+  const [importing, setImporting] = useState(false)
   const [activeTab, setActiveTab] = useState("search")
   const [playingFrom, setPlayingFrom] = useState(null); // 'search' or 'playlist'
 
@@ -200,21 +216,17 @@ export default function Home() {
     if (!query.trim()) return
 
     try {
-      const res = await axios.get(`https://www.googleapis.com/youtube/v3/search`, {
+      const res = await axios.get(`${BACKEND_URL}/search`, {
         params: {
-          part: "snippet",
           q: query,
-          type: "video",
-          videoCategoryId: "10", // Music category only
-          key: YT_API_KEY,
-          maxResults: 10,
+          limit: 10,
         },
       })
-      setResults(res.data.items)
+      setResults(res.data.results.map(toVideo))
       updateHistory(query)
     } catch (err) {
       console.error(err)
-      toast.error("Could not complete your search. Please check your API key.")
+      toast.error(err.response?.data?.error || "Could not complete your search. Please try again.")
     }
   }
 
@@ -225,13 +237,48 @@ export default function Home() {
 
   const downloadAudio = () => {
     if (!currentVideo) return
-    const url = `${BACKEND_URL}/audio/${currentVideo.id.videoId}`
+    // The backend tags the file and names it after the track
+    const url = `${BACKEND_URL}/audio/${currentVideo.id.videoId}?download=1`
     const link = document.createElement("a")
     link.href = url
     link.download = `${currentVideo.snippet.title}.mp3`
     link.click()
   }
 
+  const downloadPlaylist = async (name) => {
+    const videos = playlists[name]
+    if (!videos || videos.length === 0) return
+    const fields = {
+      videoIds: videos.map((v) => v.id.videoId).join(","),
+      name,
+    }
+    const toastId = toast.loading(`Preparing "${name}" for download...`)
+    // The download itself is a form post the page cannot read errors from, so the
+    // batch is checked first
+    try {
+      await axios.post(`${BACKEND_URL}/download/batch/check`, fields)
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Could not download the playlist. Please try again.", { id: toastId })
+      return
+    }
+
+    // A plain form post lets the browser stream the ZIP straight to disk
+    const form = document.createElement("form")
+    form.method = "POST"
+    form.action = `${BACKEND_URL}/download/batch`
+    for (const [key, value] of Object.entries(fields)) {
+      const input = document.createElement("input")
+      input.type = "hidden"
+      input.name = key
+      input.value = value
+      form.appendChild(input)
+    }
+    document.body.appendChild(form)
+    form.submit()
+    form.remove()
+    toast.success(`The download of "${name}" has started.`, { id: toastId })
+  }
+
   // Playlist functions
   const createPlaylist = () => {
     if (!playlistName.trim()) return
@@ -248,6 +295,51 @@ export default function Home() {
     toast.success(`"${playlistName}" has been created.`)
   }
 
+  // Turns a YouTube playlist URL into a new local playlist, fetching it page by page
+  const importPlaylist = async () => {
+    if (!importUrl.trim()) return
+
+    setImporting(true)
+    try {
+      let title = null
+      const videos = []
+      for (let page = 1; ; page++) {
+        const res = await axios.get(`${BACKEND_URL}/playlist/resolve`, {
+          params: {
+            url: importUrl.trim(),
+            page,
+            limit: 200,
+          },
+        })
+        title = title || res.data.title
+        for (const track of res.data.entries) {
+          if (!videos.some((v) => v.id.videoId === track.id)) videos.push(toVideo(track))
+        }
+        if (!res.data.hasMore) break
+      }
+
+      const baseName = importName.trim() || title || "Imported playlist"
+      let name = baseName
+      for (let n = 2; playlists[name]; n++) name = `${baseName} (${n})`
+
+      const newPlaylists = {
+        ...playlists,
+        [name]: videos,
+      }
+      setPlaylists(newPlaylists)
+      localStorage.setItem("music-playlists", JSON.stringify(newPlaylists))
+      setImportUrl("")
+      setImportName("")
+      setShowImportModal(false)
+      toast.success(`Imported ${videos.length} songs into "${name}".`)
+    } catch (err) {
+      console.error(err)
+      toast.error(err.response?.data?.error || "Could not import this playlist. Please check the URL.")
+    } finally {
+      setImporting(false)
+    }
+  }
+
   const deletePlaylist = (name) => {
     const { [name]: _, ...remaining } = playlists
     setPlaylists(remaining)
@@ -442,15 +534,27 @@ export default function Home() {
             <TabsContent value="playlists" className="p-4 md:p-6 space-y-6">
               <div className="flex justify-between items-center">
                 <h2 className="text-xl font-semibold">My Playlists</h2>
-                <Button
-                  onClick={() => setShowPlaylistModal(true)}
-                  size="sm"
-                  className="gap-1 h-8 md:h-9 text-xs md:text-sm"
-                >
-                  <PlusCircle className="w-3 h-3 md:w-4 md:h-4" />
-                  <span className="hidden xs:inline">New Playlist</span>
-                  <span className="xs:hidden">New</span>
-                </Button>
+                <div className="flex gap-2">
+                  <Button
+                    onClick={() => setShowImportModal(true)}
+                    size="sm"
+                    variant="outline"
+                    className="gap-1 h-8 md:h-9 text-xs md:text-sm"
+                  >
+                    <Link className="w-3 h-3 md:w-4 md:h-4" />
+                    <span className="hidden xs:inline">Import from YouTube</span>
+                    <span className="xs:hidden">Import</span>
+                  </Button>
+                  <Button
+                    onClick={() => setShowPlaylistModal(true)}
+                    size="sm"
+                    className="gap-1 h-8 md:h-9 text-xs md:text-sm"
+                  >
+                    <PlusCircle className="w-3 h-3 md:w-4 md:h-4" />
+                    <span className="hidden xs:inline">New Playlist</span>
+                    <span className="xs:hidden">New</span>
+                  </Button>
+                </div>
               </div>
 
               {Object.keys(playlists).length === 0 ? (
@@ -477,6 +581,17 @@ export default function Home() {
                                 <Play className="w-3 h-3" />
                                 Play
                               </Button>
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                onClick={() => downloadPlaylist(name)}
+                                className="gap-1"
+                                disabled={videos.length === 0}
+                                title="Download playlist"
+                              >
+                                <Download className="w-3 h-3" />
+                                <span className="hidden sm:inline">Download playlist</span>
+                              </Button>
                               <Button size="sm" variant="destructive" onClick={() => deletePlaylist(name)}>
                                 <Trash2 className="w-3 h-3" />
                               </Button>
@@ -656,6 +771,43 @@ export default function Home() {
             </DialogFooter>
           </DialogContent>
         </Dialog>
+
+        {/* Import Playlist Modal */}
+        <Dialog open={showImportModal} onOpenChange={(open) => !importing && setShowImportModal(open)}>
+          <DialogContent className="sm:max-w-md max-w-[90vw]">
+            <DialogHeader>
+              <DialogTitle>Import YouTube Playlist</DialogTitle>
+            </DialogHeader>
+            <Input
+              type="url"
+              placeholder="https://www.youtube.com/playlist?list=..."
+              value={importUrl}
+              onChange={(e) => setImportUrl(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && !importing && importPlaylist()}
+              className="mt-4"
+            />
+            <Input
+              type="text"
+              placeholder="Playlist name (optional)"
+              value={importName}
+              onChange={(e) => setImportName(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && !importing && importPlaylist()}
+            />
+            <DialogFooter className="mt-4 flex-col sm:flex-row gap-2">
+              <Button
+                variant="outline"
+                onClick={() => setShowImportModal(false)}
+                disabled={importing}
+                className="sm:w-auto w-full"
+              >
+                Cancel
+              </Button>
+              <Button onClick={importPlaylist} disabled={!importUrl.trim() || importing} className="sm:w-auto w-full">
+                {importing ? "Importing..." : "Import Playlist"}
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        </Dialog>
       </div>
     </main>
   )